@@ -0,0 +1,63 @@
+/**
+ * Web API of the app, routes are declared in .homeycompose/app.json
+ * Everything goes through LexmanApp so the API and flows share the same checks
+ */
+module.exports = {
+  /**
+   * Device counts, availability and error totals
+   */
+  async getOverview({ homey }) {
+    return homey.app.getSystemOverview();
+  },
+
+  /**
+   * Tracked state of every device
+   */
+  async getDevices({ homey }) {
+    return homey.app.getAllDeviceStates();
+  },
+
+  /**
+   * State and statistics of one device
+   */
+  async getDevice({ homey, params }) {
+    return homey.app.getDeviceStats(params.id);
+  },
+
+  /**
+   * Run an allowed device command, body: { command, args }
+   */
+  async executeCommand({ homey, params, body = {} }) {
+    const args = Array.isArray(body.args) ? body.args : [];
+    const result = await homey.app.executeDeviceCommand(params.id, body.command, ...args);
+    return { result: result === undefined ? null : result };
+  },
+
+  /**
+   * Error history of every device, newest first
+   */
+  async getErrors({ homey }) {
+    return homey.app.getErrorLog();
+  },
+
+  /**
+   * Frames captured by a remote
+   */
+  async getFrames({ homey, params }) {
+    return homey.app.getFrameCapture(params.id);
+  },
+
+  /**
+   * Start or stop frame capture on a remote, body: { enabled }
+   */
+  async setFrameCapture({ homey, params, body = {} }) {
+    return homey.app.setFrameCapture(params.id, body.enabled);
+  },
+
+  /**
+   * Forget the frames captured by a remote
+   */
+  async clearFrames({ homey, params }) {
+    return homey.app.clearFrameCapture(params.id);
+  }
+};
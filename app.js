@@ -2,6 +2,8 @@
 
 const Homey = require('homey');
 const DeviceManager = require('./lib/DeviceManager');
+const GroupManager = require('./lib/GroupManager');
+const { CONFIG, DeviceError } = require('./lib/Config');
 
 class LexmanApp extends Homey.App {
 
@@ -12,13 +14,21 @@ class LexmanApp extends Homey.App {
     try {
       this.log('Lexman app is initializing...');
       
-      // Initialize device manager
+      // Initialize device manager, with the statistics saved before the last restart
       this.deviceManager = new DeviceManager(this);
+      this.deviceManager.loadStatistics();
+
+      // Initialize Zigbee group manager
+      this.groupManager = new GroupManager(this);
       
       // Initialize app components
       await this.initializeDeviceManagement();
       await this.initializeFlowCards();
       await this.initializeEventHandlers();
+
+      // Watch for devices that stop responding and save statistics periodically
+      this.deviceManager.startHealthMonitor();
+      this.deviceManager.startStatisticsFlush();
       
       this.log('Lexman app initialized successfully');
     } catch (error) {
@@ -40,11 +50,17 @@ class LexmanApp extends Homey.App {
     this.homey.drivers.on('device_init', this.onDeviceInit.bind(this));
     this.homey.drivers.on('device_deleted', this.onDeviceDeleted.bind(this));
 
+    // Devices announce themselves on the app once their node is initialized
+    this.on('deviceInitialized', this.onDeviceInit.bind(this));
+    this.on('deviceDeleted', this.onDeviceDeleted.bind(this));
+
     // Setup device manager event listeners
     this.deviceManager.on('deviceRegistered', this.onDeviceRegistered.bind(this));
     this.deviceManager.on('deviceUnregistered', this.onDeviceUnregistered.bind(this));
     this.deviceManager.on('capabilityChanged', this.onDeviceCapabilityChanged.bind(this));
     this.deviceManager.on('deviceError', this.onDeviceError.bind(this));
+    this.deviceManager.on('deviceOffline', this.onDeviceOffline.bind(this));
+    this.deviceManager.on('deviceOnline', this.onDeviceOnline.bind(this));
   }
 
   /**
@@ -62,10 +78,11 @@ class LexmanApp extends Homey.App {
 
     // Initialize common trigger cards
     const triggerCards = [
-      'button_pressed',
-      'pressed_on', 'pressed_off',
+      'pressed_on', 'pressed_off', 'pressed_toggle',
       'pressed_brightness_up', 'pressed_brightness_down',
-      'pressed_scene_1', 'pressed_scene_2', 'pressed_scene_3', 'pressed_scene_4'
+      'pressed_scene_1', 'pressed_scene_2', 'pressed_scene_3', 'pressed_scene_4',
+      'contact_opened', 'contact_closed',
+      'channel2_turned_on', 'channel2_turned_off'
     ];
 
     triggerCards.forEach(triggerId => {
@@ -76,6 +93,182 @@ class LexmanApp extends Homey.App {
         this.error(`Failed to initialize trigger card ${triggerId}:`, error);
       }
     });
+
+    // Gesture cards carry a button argument matched against the trigger state
+    const gestureCards = [
+      'button_short_press',
+      'button_long_press_start',
+      'button_hold_repeat',
+      'button_long_press_release',
+      'button_multi_click'
+    ];
+
+    gestureCards.forEach(triggerId => {
+      try {
+        const card = this.homey.flow.getDeviceTriggerCard(triggerId);
+        card.registerRunListener(async (args, state) => args.button === state.button);
+        this.flowCards.triggers[triggerId] = card;
+        this.log(`Initialized trigger card: ${triggerId}`);
+      } catch (error) {
+        this.error(`Failed to initialize trigger card ${triggerId}:`, error);
+      }
+    });
+
+    // App wide cards about any Lexman device
+    const appTriggerCards = ['device_offline', 'device_online'];
+
+    appTriggerCards.forEach(triggerId => {
+      try {
+        this.flowCards.triggers[triggerId] = this.homey.flow.getTriggerCard(triggerId);
+        this.log(`Initialized trigger card: ${triggerId}`);
+      } catch (error) {
+        this.error(`Failed to initialize trigger card ${triggerId}:`, error);
+      }
+    });
+
+    // Custom buttons are labelled per remote, so button arguments are autocompleted from the device
+    const buttonCards = {
+      button_pressed: (query, device) => this.autocompleteButtons(device, query),
+      custom_button_pressed: (query, device) => this.autocompleteCustomButtons(device, query)
+    };
+
+    Object.entries(buttonCards).forEach(([triggerId, autocomplete]) => {
+      try {
+        const card = this.homey.flow.getDeviceTriggerCard(triggerId);
+        card.registerRunListener(async (args, state) => args.button.id === state.button);
+        card.registerArgumentAutocompleteListener('button', async (query, { device }) => autocomplete(query, device));
+        this.flowCards.triggers[triggerId] = card;
+        this.log(`Initialized trigger card: ${triggerId}`);
+      } catch (error) {
+        this.error(`Failed to initialize trigger card ${triggerId}:`, error);
+      }
+    });
+
+    this.initializeConditionCards();
+    this.initializeActionCards();
+  }
+
+  /**
+   * Autocomplete results for every button of a remote, built-in and custom
+   */
+  autocompleteButtons(device, query = '') {
+    const buttons = CONFIG.BUTTON_MAPPING.ZBEK26.BUTTONS.map(button => ({
+      id: button,
+      name: button.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+    }));
+
+    return [...buttons, ...this.autocompleteCustomButtons(device)]
+      .filter(button => button.name.toLowerCase().includes(query.toLowerCase()));
+  }
+
+  /**
+   * Autocomplete results for the custom buttons of a remote
+   */
+  autocompleteCustomButtons(device, query = '') {
+    return device.getCustomButtons()
+      .filter(button => button.name.toLowerCase().includes(query.toLowerCase()))
+      .map(button => ({
+        id: button.id,
+        name: button.name,
+        description: `Cluster ${button.clusterId}, command ${button.commandId}`
+      }));
+  }
+
+  /**
+   * Autocomplete results for the frames a remote recorded in learning mode
+   */
+  autocompleteLearnedFrames(device, query = '') {
+    return device.getLearnedFrames()
+      .filter(frame => frame.clusterSpecific)
+      .map(frame => ({
+        id: frame.id,
+        name: `#${frame.id} cluster ${frame.clusterId} command ${frame.commandId} ${frame.payload}`.trim(),
+        description: frame.button ? `Known button: ${frame.button}` : `Unknown frame, ${frame.timestamp}`
+      }))
+      .filter(result => result.name.toLowerCase().includes(query.toLowerCase()));
+  }
+
+  /**
+   * Initialize condition cards for remote state
+   */
+  initializeConditionCards() {
+    const conditionCards = {
+      last_button_is: async ({ device, button }) => {
+        const lastPress = device.deviceState?.lastButtonPress;
+        return Boolean(lastPress) && lastPress.button === button;
+      },
+      button_pressed_within: async ({ device, seconds }) => {
+        const lastPress = device.deviceState?.lastButtonPress;
+        return Boolean(lastPress) && Date.now() - lastPress.timestamp.getTime() <= seconds * 1000;
+      },
+      remote_available: async ({ device }) => {
+        return this.deviceManager.isDeviceAvailable(this.deviceManager.getDeviceId(device));
+      },
+      motion_luminance_below: async ({ device, luminance }) => device.hasMotionBelowLuminance(luminance),
+      channel2_is_on: async ({ device }) => device.getCapabilityValue('onoff.channel2') === true
+    };
+
+    Object.entries(conditionCards).forEach(([conditionId, runListener]) => {
+      try {
+        const card = this.homey.flow.getConditionCard(conditionId);
+        card.registerRunListener(runListener);
+        this.flowCards.conditions[conditionId] = card;
+        this.log(`Initialized condition card: ${conditionId}`);
+      } catch (error) {
+        this.error(`Failed to initialize condition card ${conditionId}:`, error);
+      }
+    });
+  }
+
+  /**
+   * Initialize action cards
+   */
+  initializeActionCards() {
+    const actionCards = {
+      reset_statistics: async () => this.deviceManager.resetStatistics(),
+      group_add_member: async ({ device, bulb }) => device.addMember(bulb),
+      group_remove_member: async ({ device, bulb }) => device.removeMember(bulb),
+      group_save_scene: async ({ device, scene }) => device.storeScene(scene),
+      group_recall_scene: async ({ device, scene }) => device.recallScene(scene),
+      set_learning_mode: async ({ device, enabled }) => device.setLearningMode(enabled === 'on'),
+      label_learned_frame: async ({ device, frame, name }) => device.labelFrame(frame.id, name),
+      set_dim_transition: async ({ device, brightness, duration }) => device.transitionTo('dim', brightness, duration),
+      set_temperature_transition: async ({ device, temperature, duration }) => device.transitionTo('light_temperature', temperature, duration),
+      step_brightness: async ({ device, direction, percent }) => device.stepBrightness(direction, percent),
+      step_temperature: async ({ device, direction, percent }) => device.stepColorTemperature(direction, percent),
+      cycle_presets: async ({ device }) => device.cyclePresets(),
+      toggle_light: async ({ device }) => device.toggle(),
+      identify: async ({ device, seconds }) => device.identify(seconds),
+      trigger_effect: async ({ device, effect }) => device.triggerEffect(effect.id),
+      start_color_loop: async ({ device, direction, seconds }) => device.startColorLoop(direction, seconds),
+      stop_color_loop: async ({ device }) => device.stopColorLoop(),
+      save_scene: async ({ device, scene }) => device.storeScene(scene),
+      recall_scene: async ({ device, scene }) => device.recallScene(scene),
+      channel2_set_onoff: async ({ device, state }) => device.setChannelValue('onoff.channel2', state === 'on'),
+      channel2_set_dim: async ({ device, brightness }) => device.setChannelValue('dim.channel2', brightness)
+    };
+
+    Object.entries(actionCards).forEach(([actionId, runListener]) => {
+      try {
+        const card = this.homey.flow.getActionCard(actionId);
+        card.registerRunListener(runListener);
+        this.flowCards.actions[actionId] = card;
+        this.log(`Initialized action card: ${actionId}`);
+      } catch (error) {
+        this.error(`Failed to initialize action card ${actionId}:`, error);
+      }
+    });
+
+    if (this.flowCards.actions.label_learned_frame) {
+      this.flowCards.actions.label_learned_frame.registerArgumentAutocompleteListener('frame',
+        async (query, { device }) => this.autocompleteLearnedFrames(device, query));
+    }
+
+    if (this.flowCards.actions.trigger_effect) {
+      this.flowCards.actions.trigger_effect.registerArgumentAutocompleteListener('effect',
+        async (query, { device }) => device.getSupportedEffects()
+          .filter(effect => effect.name.toLowerCase().includes(query.toLowerCase())));
+    }
   }
 
   /**
@@ -121,6 +314,9 @@ class LexmanApp extends Homey.App {
       // Clean up device configuration
       const deviceId = this.deviceManager.getDeviceId(device);
       this.deviceConfigurations.delete(deviceId);
+
+      // Drop deleted bulbs from their groups
+      this.groupManager.forgetDevice(deviceId);
       
     } catch (error) {
       this.error('Error handling device deletion:', error);
@@ -163,6 +359,34 @@ class LexmanApp extends Homey.App {
     }
   }
 
+  /**
+   * Handle devices going silent (from DeviceManager)
+   */
+  onDeviceOffline(device, deviceId, lastSeen) {
+    this.triggerAppCard('device_offline', {
+      device: device.getName(),
+      last_seen: lastSeen.toISOString()
+    });
+  }
+
+  /**
+   * Handle devices responding again (from DeviceManager)
+   */
+  onDeviceOnline(device) {
+    this.triggerAppCard('device_online', { device: device.getName() });
+  }
+
+  /**
+   * Trigger an app wide flow card
+   */
+  triggerAppCard(triggerId, tokens) {
+    const card = this.flowCards.triggers[triggerId];
+    if (card) {
+      card.trigger(tokens).catch(this.error);
+      this.log(`Triggered ${triggerId}:`, tokens);
+    }
+  }
+
   /**
    * Handle device errors (from DeviceManager)
    */
@@ -184,6 +408,12 @@ class LexmanApp extends Homey.App {
       case 'ZBEK-4':
         await this.setupZBEK4Handlers(device);
         break;
+      case 'LDSENK08':
+        await this.setupContactSensorHandlers(device);
+        break;
+      case 'SIN-4-2-20':
+        await this.setupMicromoduleHandlers(device);
+        break;
       default:
         this.log(`No specific handlers for driver: ${driverId}`);
     }
@@ -200,6 +430,24 @@ class LexmanApp extends Homey.App {
       // Trigger appropriate flow cards based on capability changes
       this.handleCapabilityChange(device, capability, value);
     });
+
+    device.on('buttonFrame', frame => this.publishButtonFrame(device, frame));
+  }
+
+  /**
+   * Send a remote's frame and how it was decoded to the settings page
+   */
+  publishButtonFrame(device, { clusterId, frame, event }) {
+    this.homey.api.realtime('buttonFrame', {
+      deviceId: this.deviceManager.getDeviceId(device),
+      device: device.getName(),
+      clusterId,
+      frame,
+      button: event ? event.button : null,
+      type: event ? event.type : null,
+      scene: event ? event.scene : null,
+      timestamp: new Date().toISOString()
+    }).catch(this.error);
   }
 
   /**
@@ -215,11 +463,52 @@ class LexmanApp extends Homey.App {
     });
   }
 
+  /**
+   * Setup handlers for contact sensors
+   */
+  async setupContactSensorHandlers(device) {
+    device.on('capabilityChanged', (capability, value, previous) => {
+      // The first zone status after pairing is the initial state, not an opening or closing
+      if (capability !== 'alarm_contact' || previous === null) {
+        return;
+      }
+
+      const triggerId = value ? 'contact_opened' : 'contact_closed';
+      this.log(`Contact sensor ${device.getName()} ${value ? 'opened' : 'closed'}`);
+
+      if (this.flowCards.triggers[triggerId]) {
+        this.flowCards.triggers[triggerId].trigger(device).catch(this.error);
+      }
+    });
+  }
+
+  /**
+   * Setup handlers for micromodules, whose second channel has its own cards
+   */
+  async setupMicromoduleHandlers(device) {
+    device.on('capabilityChanged', (capability, value, previous) => {
+      // The first state read after pairing is not a change
+      if (capability !== 'onoff.channel2' || previous === null) {
+        return;
+      }
+
+      const triggerId = value ? 'channel2_turned_on' : 'channel2_turned_off';
+      if (this.flowCards.triggers[triggerId]) {
+        this.flowCards.triggers[triggerId].trigger(device).catch(this.error);
+      }
+    });
+  }
+
   /**
    * Handle capability changes and trigger appropriate flow cards
    */
   handleCapabilityChange(device, capability, value) {
     try {
+      // The pressed_* cards belong to the remote, bulbs must not fire them
+      if (device.getDriver().id !== 'ZBEK-26') {
+        return;
+      }
+
       // Map capabilities to flow triggers
       const triggerMap = {
         'onoff': value ? 'pressed_on' : 'pressed_off',
@@ -228,10 +517,7 @@ class LexmanApp extends Homey.App {
 
       const triggerId = triggerMap[capability];
       if (triggerId && this.flowCards.triggers[triggerId]) {
-        this.flowCards.triggers[triggerId].trigger(device, {
-          capability,
-          value
-        });
+        this.flowCards.triggers[triggerId].trigger(device, {}).catch(this.error);
       }
     } catch (error) {
       this.error('Error handling capability change:', error);
@@ -241,17 +527,14 @@ class LexmanApp extends Homey.App {
   /**
    * Trigger scene button press
    */
-  triggerSceneButton(device, sceneId, buttonData = {}) {
+  triggerSceneButton(device, sceneId) {
     try {
       const triggerId = `pressed_scene_${sceneId}`;
       
+      // The pressed_scene_* cards have no tokens
       if (this.flowCards.triggers[triggerId]) {
-        this.flowCards.triggers[triggerId].trigger(device, {
-          scene: sceneId,
-          timestamp: new Date(),
-          ...buttonData
-        });
-        
+        this.flowCards.triggers[triggerId].trigger(device, {}).catch(this.error);
+
         this.log(`Triggered scene ${sceneId} for device ${device.getName()}`);
         return true;
       } else {
@@ -267,23 +550,23 @@ class LexmanApp extends Homey.App {
   /**
    * Trigger generic button press
    */
-  triggerButtonPress(device, buttonName, buttonData = {}) {
+  triggerButtonPress(device, buttonId, { name = buttonId, gesture = 'short_press', payload = '' } = {}) {
     try {
       if (this.flowCards.triggers.button_pressed) {
         this.flowCards.triggers.button_pressed.trigger(device, {
-          button: buttonName,
-          timestamp: new Date()
+          button: name,
+          gesture,
+          payload
         }, {
-          button: buttonName,
-          ...buttonData
-        });
+          button: buttonId
+        }).catch(this.error);
         
-        this.log(`Triggered button press: ${buttonName} for device ${device.getName()}`);
+        this.log(`Triggered button press: ${buttonId} (${gesture}) for device ${device.getName()}`);
         return true;
       }
       return false;
     } catch (error) {
-      this.error(`Error triggering button press ${buttonName}:`, error);
+      this.error(`Error triggering button press ${buttonId}:`, error);
       return false;
     }
   }
@@ -316,6 +599,70 @@ class LexmanApp extends Homey.App {
     return this.deviceManager.executeDeviceCommand(deviceId, command, ...args);
   }
 
+  /**
+   * Get a registered device, throws when it is unknown
+   */
+  getRegisteredDevice(deviceId) {
+    const device = this.deviceManager.devices.get(deviceId);
+    if (!device) {
+      throw new DeviceError(CONFIG.ERROR_CODES.DEVICE_NOT_FOUND, `Device ${deviceId} not found`, deviceId);
+    }
+    return device;
+  }
+
+  /**
+   * Get device statistics
+   */
+  getDeviceStats(deviceId) {
+    this.getRegisteredDevice(deviceId);
+    return this.deviceManager.getDeviceStats(deviceId);
+  }
+
+  /**
+   * Get the error history of every device, newest first
+   */
+  getErrorLog() {
+    return this.deviceManager.getErrorLog();
+  }
+
+  /**
+   * Get a remote that supports frame capture (learning mode)
+   */
+  getCaptureDevice(deviceId) {
+    const device = this.getRegisteredDevice(deviceId);
+    if (typeof device.getLearnedFrames !== 'function') {
+      throw new DeviceError(CONFIG.ERROR_CODES.INVALID_COMMAND, `Device ${deviceId} does not capture frames`, deviceId);
+    }
+    return device;
+  }
+
+  /**
+   * Get the frame capture state and the captured frames of a remote
+   */
+  getFrameCapture(deviceId) {
+    const device = this.getCaptureDevice(deviceId);
+    return {
+      enabled: Boolean(device.getSetting('learning_mode')),
+      frames: device.getLearnedFrames()
+    };
+  }
+
+  /**
+   * Start or stop capturing frames on a remote
+   */
+  async setFrameCapture(deviceId, enabled) {
+    await this.getCaptureDevice(deviceId).setLearningMode(Boolean(enabled));
+    return this.getFrameCapture(deviceId);
+  }
+
+  /**
+   * Forget the frames captured by a remote
+   */
+  async clearFrameCapture(deviceId) {
+    await this.getCaptureDevice(deviceId).clearLearnedFrames();
+    return this.getFrameCapture(deviceId);
+  }
+
   /**
    * Handle app unload
    */
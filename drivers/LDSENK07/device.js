@@ -0,0 +1,227 @@
+const { ZigBeeDevice } = require('homey-zigbeedriver');
+const { CLUSTER } = require('zigbee-clusters');
+const { CONFIG } = require('../../lib/Config');
+const Battery = require('../../lib/Battery');
+
+// Measurements, their cluster and the settings calibrating and thresholding them
+// Both clusters report hundredths of the capability unit
+const MEASUREMENTS = {
+  measure_temperature: {
+    cluster: CLUSTER.TEMPERATURE_MEASUREMENT,
+    offset: 'temperature_offset',
+    threshold: 'temperature_threshold'
+  },
+  measure_humidity: {
+    cluster: CLUSTER.RELATIVE_HUMIDITY_MEASUREMENT,
+    offset: 'humidity_offset',
+    threshold: 'humidity_threshold',
+    min: 0,
+    max: 100
+  }
+};
+
+class AdeoClimateSensor extends ZigBeeDevice {
+
+  async onNodeInit({ zclNode }) {
+    try {
+      this.log('Initializing ADEO climate sensor...');
+
+      this.deviceState = {
+        isInitialized: false,
+        lastStateChange: null,
+        stateChanges: 0,
+        errors: []
+      };
+
+      // Last uncalibrated value per measurement, so a new offset applies right away
+      this.measuredValues = {};
+
+      Battery.register(this, {
+        onPercentage: batteryPercentage => this.updateBatteryAlarm(batteryPercentage)
+      });
+      this.setupMeasurements();
+
+      // The sensor is awake right after pairing, later it only listens shortly after reporting
+      if (this.isFirstInit()) {
+        await this.configureMeasurementReporting().catch(this.error);
+      }
+
+      // Let the health monitor know about every frame from the sensor
+      this.watchIncomingFrames();
+
+      this.deviceState.isInitialized = true;
+      this.log('ADEO climate sensor initialized successfully');
+
+      this.homey.app.emit('deviceInitialized', this);
+    } catch (error) {
+      this.error('Failed to initialize ADEO climate sensor:', error);
+      this.deviceState.errors.push({
+        type: 'initialization',
+        error: error.message,
+        timestamp: new Date()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Register the temperature and humidity, calibrated with their offset settings
+   */
+  setupMeasurements() {
+    for (const [capability, { cluster }] of Object.entries(MEASUREMENTS)) {
+      this.registerCapability(capability, cluster, {
+        reportParser: (value) => {
+          this.measuredValues[capability] = value / 100;
+          return this.calibrate(capability);
+        }
+      });
+    }
+  }
+
+  /**
+   * Last measured value of a capability with its offset setting applied, null before the first report
+   */
+  calibrate(capability, offset = this.getSetting(MEASUREMENTS[capability].offset)) {
+    const measured = this.measuredValues[capability];
+    if (typeof measured !== 'number') {
+      return null;
+    }
+
+    const { min = -Infinity, max = Infinity } = MEASUREMENTS[capability];
+    const value = Math.round((measured + (offset || 0)) * 100) / 100;
+    return Math.max(min, Math.min(max, value));
+  }
+
+  /**
+   * Configure the smallest temperature and humidity changes the sensor reports, from the device settings
+   */
+  async configureMeasurementReporting(newSettings = {}) {
+    const settings = { ...this.getSettings(), ...newSettings };
+    const configurations = Object.values(MEASUREMENTS).map(({ cluster, threshold }) => ({
+      endpointId: this.getClusterEndpoint(cluster),
+      cluster,
+      attributeName: 'measuredValue',
+      minInterval: CONFIG.CLIMATE.REPORT_MIN_INTERVAL,
+      maxInterval: CONFIG.CLIMATE.REPORT_MAX_INTERVAL,
+      minChange: Math.round(settings[threshold] * 100)
+    }));
+
+    await this.configureAttributeReporting(configurations);
+    await this.setStoreValue(CONFIG.CLIMATE.REPORTING_PENDING_STORE_KEY, false);
+    this.log(`Measurement reporting configured: ${settings.temperature_threshold}°C, ${settings.humidity_threshold}%`);
+  }
+
+  /**
+   * alarm_battery is on when the battery level is low
+   */
+  updateBatteryAlarm(batteryPercentage) {
+    const low = batteryPercentage <= CONFIG.SENSOR.LOW_BATTERY;
+    if (this.getCapabilityValue('alarm_battery') === low) {
+      return;
+    }
+
+    this.setCapabilityValue('alarm_battery', low).catch(this.error);
+    this.updateDeviceState('alarm_battery', low);
+  }
+
+  /**
+   * Emit frameReceived for every frame the node receives
+   * The sensor listens shortly after it reports, which is when pending reporting is configured
+   */
+  watchIncomingFrames() {
+    const { node } = this;
+    const handleFrame = node.handleFrame;
+    node.handleFrame = (...args) => {
+      this.emit('frameReceived');
+
+      if (this.getStoreValue(CONFIG.CLIMATE.REPORTING_PENDING_STORE_KEY) && !this.configuringReporting) {
+        this.configuringReporting = true;
+        this.configureMeasurementReporting()
+          .catch(error => this.error('Could not configure measurement reporting:', error))
+          .finally(() => {
+            this.configuringReporting = false;
+          });
+      }
+
+      return handleFrame.apply(node, args);
+    };
+  }
+
+  /**
+   * Handle settings changes
+   */
+  async onSettings({ newSettings, changedKeys }) {
+    // Recalibrate the last measurements with the new offsets
+    for (const [capability, { offset }] of Object.entries(MEASUREMENTS)) {
+      const value = this.calibrate(capability, newSettings[offset]);
+      if (changedKeys.includes(offset) && value !== null) {
+        await this.setCapabilityValue(capability, value);
+        this.updateDeviceState(capability, value);
+      }
+    }
+
+    if (changedKeys.includes('temperature_threshold') || changedKeys.includes('humidity_threshold')) {
+      // A sleeping sensor does not answer, it is configured when it next reports
+      await this.setStoreValue(CONFIG.CLIMATE.REPORTING_PENDING_STORE_KEY, true);
+      this.configureMeasurementReporting(newSettings)
+        .catch(() => this.log('Sensor asleep, reporting is configured when it next reports'));
+    }
+  }
+
+  /**
+   * Update device state tracking
+   */
+  updateDeviceState(capability, value) {
+    this.deviceState.lastStateChange = {
+      capability,
+      value,
+      timestamp: new Date()
+    };
+    this.deviceState.stateChanges++;
+
+    // Emit capability change event for app
+    this.emit('capabilityChanged', capability, value);
+  }
+
+  /**
+   * Get device state information
+   */
+  getDeviceState() {
+    return {
+      ...this.deviceState,
+      deviceInfo: {
+        name: this.getName(),
+        id: this.getData().id,
+        capabilities: this.getCapabilities(),
+        available: this.getAvailable(),
+        capabilityValues: this.getCapabilities().reduce((values, capability) => {
+          values[capability] = this.getCapabilityValue(capability);
+          return values;
+        }, {})
+      }
+    };
+  }
+
+  /**
+   * Handle device deletion
+   */
+  async onDeleted() {
+    try {
+      this.log('Climate sensor is being deleted, cleaning up...');
+
+      this.deviceState = null;
+
+      // Notify app of device deletion
+      this.homey.app.emit('deviceDeleted', this);
+
+      if (super.onDeleted) {
+        await super.onDeleted();
+      }
+    } catch (error) {
+      this.error('Error during device cleanup:', error);
+    }
+  }
+
+}
+
+module.exports = AdeoClimateSensor;
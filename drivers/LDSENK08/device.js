@@ -0,0 +1,207 @@
+const { ZigBeeDevice } = require('homey-zigbeedriver');
+const { CLUSTER } = require('zigbee-clusters');
+const { CONFIG } = require('../../lib/Config');
+const IasZone = require('../../lib/IasZone');
+const Battery = require('../../lib/Battery');
+
+class AdeoContactSensor extends ZigBeeDevice {
+
+  async onNodeInit({ zclNode }) {
+    try {
+      this.log('Initializing ADEO contact sensor...');
+
+      this.deviceState = {
+        isInitialized: false,
+        lastStateChange: null,
+        stateChanges: 0,
+        errors: []
+      };
+
+      // Low battery flag of the last zone status, alarm_battery also turns on for a low level
+      this.zoneBatteryLow = false;
+
+      this.setupBattery();
+      this.setupZoneStatus();
+
+      // The sensor only reports to Homey once its zone is enrolled
+      if (!this.getStoreValue(CONFIG.SENSOR.ENROLLED_STORE_KEY)) {
+        this.enrollZone().catch(this.error);
+      }
+
+      // Let the health monitor know about every frame from the sensor
+      this.watchIncomingFrames();
+
+      this.deviceState.isInitialized = true;
+      this.log('ADEO contact sensor initialized successfully');
+
+      this.homey.app.emit('deviceInitialized', this);
+    } catch (error) {
+      this.error('Failed to initialize ADEO contact sensor:', error);
+      this.deviceState.errors.push({
+        type: 'initialization',
+        error: error.message,
+        timestamp: new Date()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Battery percentage from the Power Configuration cluster, with the voltage as fallback
+   */
+  setupBattery() {
+    Battery.register(this, {
+      onPercentage: batteryPercentage => this.updateBatteryAlarm(batteryPercentage)
+    });
+  }
+
+  /**
+   * Get a cluster of the sensor, null when it has no endpoint for it
+   */
+  getCluster(cluster) {
+    const endpointId = this.getClusterEndpoint(cluster);
+    if (endpointId === null) {
+      return null;
+    }
+    return this.zclNode.endpoints[endpointId].clusters[cluster.NAME];
+  }
+
+  /**
+   * IAS Zone cluster of the sensor
+   */
+  get iasZoneCluster() {
+    return this.getCluster(CLUSTER.IAS_ZONE);
+  }
+
+  /**
+   * Follow the zone status and answer the sensor's enrol requests
+   */
+  setupZoneStatus() {
+    IasZone.listen(this.iasZoneCluster, {
+      onStatus: zoneStatus => this.onZoneStatus(zoneStatus),
+      onEnrollRequest: () => {
+        this.log('Zone enrol request received');
+        this.enrollZone().catch(this.error);
+      }
+    });
+  }
+
+  /**
+   * Enrol the sensor's zone with Homey, the sensor only reports once enrolled
+   */
+  async enrollZone() {
+    const { enrolled, zoneStatus } = await IasZone.enroll(this.homey, this.iasZoneCluster);
+    if (zoneStatus) {
+      this.onZoneStatus(zoneStatus);
+    }
+
+    await this.setStoreValue(CONFIG.SENSOR.ENROLLED_STORE_KEY, enrolled);
+    this.log(`IAS zone ${enrolled ? 'enrolled' : 'not enrolled yet'}`);
+    return enrolled;
+  }
+
+  /**
+   * Map an IAS zone status to the contact, tamper and battery alarms
+   */
+  onZoneStatus(zoneStatus) {
+    this.log('Zone status:', zoneStatus.getBits());
+
+    this.zoneBatteryLow = zoneStatus.battery;
+    this.updateBatteryAlarm(this.getCapabilityValue('measure_battery'));
+
+    this.updateAlarm('alarm_contact', zoneStatus.alarm1);
+    this.updateAlarm('alarm_tamper', zoneStatus.tamper);
+  }
+
+  /**
+   * Set an alarm capability, reporting actual changes to the app
+   */
+  updateAlarm(capability, value) {
+    const previous = this.getCapabilityValue(capability);
+    if (previous === value) {
+      return;
+    }
+
+    this.setCapabilityValue(capability, value).catch(this.error);
+    this.updateDeviceState(capability, value, previous);
+  }
+
+  /**
+   * alarm_battery is on when the zone status flags a low battery or the level is low
+   */
+  updateBatteryAlarm(batteryPercentage) {
+    const low = this.zoneBatteryLow
+      || (typeof batteryPercentage === 'number' && batteryPercentage <= CONFIG.SENSOR.LOW_BATTERY);
+
+    this.updateAlarm('alarm_battery', low);
+  }
+
+  /**
+   * Emit frameReceived for every frame the node receives
+   */
+  watchIncomingFrames() {
+    const { node } = this;
+    const handleFrame = node.handleFrame;
+    node.handleFrame = (...args) => {
+      this.emit('frameReceived');
+      return handleFrame.apply(node, args);
+    };
+  }
+
+  /**
+   * Update device state tracking, previous is null for the first value after pairing
+   */
+  updateDeviceState(capability, value, previous = null) {
+    this.deviceState.lastStateChange = {
+      capability,
+      value,
+      timestamp: new Date()
+    };
+    this.deviceState.stateChanges++;
+
+    // Emit capability change event for app
+    this.emit('capabilityChanged', capability, value, previous);
+  }
+
+  /**
+   * Get device state information
+   */
+  getDeviceState() {
+    return {
+      ...this.deviceState,
+      deviceInfo: {
+        name: this.getName(),
+        id: this.getData().id,
+        capabilities: this.getCapabilities(),
+        available: this.getAvailable(),
+        capabilityValues: this.getCapabilities().reduce((values, capability) => {
+          values[capability] = this.getCapabilityValue(capability);
+          return values;
+        }, {})
+      }
+    };
+  }
+
+  /**
+   * Handle device deletion
+   */
+  async onDeleted() {
+    try {
+      this.log('Contact sensor is being deleted, cleaning up...');
+
+      this.deviceState = null;
+
+      // Notify app of device deletion
+      this.homey.app.emit('deviceDeleted', this);
+
+      if (super.onDeleted) {
+        await super.onDeleted();
+      }
+    } catch (error) {
+      this.error('Error during device cleanup:', error);
+    }
+  }
+
+}
+
+module.exports = AdeoContactSensor;
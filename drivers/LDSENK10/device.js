@@ -0,0 +1,301 @@
+const { ZigBeeDevice } = require('homey-zigbeedriver');
+const { CLUSTER } = require('zigbee-clusters');
+const { CONFIG } = require('../../lib/Config');
+const IasZone = require('../../lib/IasZone');
+const Battery = require('../../lib/Battery');
+
+class AdeoMotionSensor extends ZigBeeDevice {
+
+  async onNodeInit({ zclNode }) {
+    try {
+      this.log('Initializing ADEO motion sensor...');
+
+      this.deviceState = {
+        isInitialized: false,
+        lastStateChange: null,
+        lastMotion: null,
+        stateChanges: 0,
+        errors: []
+      };
+
+      // Clears alarm_motion once no motion was seen for the motion timeout
+      this.motionTimer = null;
+      // Low battery flag of the last zone status, alarm_battery also turns on for a low level
+      this.zoneBatteryLow = false;
+
+      this.setupBattery();
+      await this.setupLuminance();
+      await this.setupMotion();
+
+      // Let the health monitor know about every frame from the sensor
+      this.watchIncomingFrames();
+
+      this.deviceState.isInitialized = true;
+      this.log('ADEO motion sensor initialized successfully');
+
+      this.homey.app.emit('deviceInitialized', this);
+    } catch (error) {
+      this.error('Failed to initialize ADEO motion sensor:', error);
+      this.deviceState.errors.push({
+        type: 'initialization',
+        error: error.message,
+        timestamp: new Date()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Battery percentage from the Power Configuration cluster, with the voltage as fallback
+   */
+  setupBattery() {
+    Battery.register(this, {
+      onPercentage: batteryPercentage => this.updateBatteryAlarm(batteryPercentage)
+    });
+  }
+
+  /**
+   * Luminance in lux from the Illuminance Measurement cluster
+   */
+  async setupLuminance() {
+    if (this.getClusterEndpoint(CLUSTER.ILLUMINANCE_MEASUREMENT) === null) {
+      if (this.hasCapability('measure_luminance')) {
+        await this.removeCapability('measure_luminance');
+        this.log('Removed measure_luminance capability');
+      }
+      return;
+    }
+
+    this.registerCapability('measure_luminance', CLUSTER.ILLUMINANCE_MEASUREMENT, {
+      reportOpts: {
+        configureAttributeReporting: {
+          minInterval: 60,
+          maxInterval: 3600,
+          minChange: 1000 // about 25% on the logarithmic scale of measuredValue
+        }
+      },
+      getOpts: {
+        getOnStart: true
+      }
+    });
+  }
+
+  /**
+   * Get a cluster of the sensor, null when it has no endpoint for it
+   */
+  getCluster(cluster) {
+    const endpointId = this.getClusterEndpoint(cluster);
+    if (endpointId === null) {
+      return null;
+    }
+    return this.zclNode.endpoints[endpointId].clusters[cluster.NAME];
+  }
+
+  /**
+   * Follow motion from the IAS Zone cluster, or the Occupancy Sensing cluster of sensors without one
+   */
+  async setupMotion() {
+    const iasZoneCluster = this.getCluster(CLUSTER.IAS_ZONE);
+    if (iasZoneCluster) {
+      IasZone.listen(iasZoneCluster, {
+        onStatus: zoneStatus => this.onZoneStatus(zoneStatus),
+        onEnrollRequest: () => {
+          this.log('Zone enrol request received');
+          this.enrollZone().catch(this.error);
+        }
+      });
+
+      // The sensor only reports to Homey once its zone is enrolled
+      if (!this.getStoreValue(CONFIG.SENSOR.ENROLLED_STORE_KEY)) {
+        this.enrollZone().catch(this.error);
+      }
+      return;
+    }
+
+    const occupancyCluster = this.getCluster(CLUSTER.OCCUPANCY_SENSING);
+    if (!occupancyCluster) {
+      throw new Error('The sensor has neither an IAS Zone nor an Occupancy Sensing cluster');
+    }
+
+    occupancyCluster.on('attr.occupancy', occupancy => this.onMotion(occupancy.occupied));
+
+    if (this.isFirstInit()) {
+      await this.configureAttributeReporting([{
+        endpointId: this.getClusterEndpoint(CLUSTER.OCCUPANCY_SENSING),
+        cluster: CLUSTER.OCCUPANCY_SENSING,
+        attributeName: 'occupancy',
+        minInterval: 0,
+        maxInterval: 3600
+      }]).catch(this.error);
+    }
+  }
+
+  /**
+   * Enrol the sensor's zone with Homey, the sensor only reports once enrolled
+   */
+  async enrollZone() {
+    const { enrolled, zoneStatus } = await IasZone.enroll(this.homey, this.getCluster(CLUSTER.IAS_ZONE));
+    if (zoneStatus) {
+      this.onZoneStatus(zoneStatus);
+    }
+
+    await this.setStoreValue(CONFIG.SENSOR.ENROLLED_STORE_KEY, enrolled);
+    this.log(`IAS zone ${enrolled ? 'enrolled' : 'not enrolled yet'}`);
+    return enrolled;
+  }
+
+  /**
+   * Map an IAS zone status to the motion and battery alarms
+   */
+  onZoneStatus(zoneStatus) {
+    this.log('Zone status:', zoneStatus.getBits());
+
+    this.zoneBatteryLow = zoneStatus.battery;
+    this.updateBatteryAlarm(this.getCapabilityValue('measure_battery'));
+
+    this.onMotion(zoneStatus.alarm1);
+  }
+
+  /**
+   * Handle motion reported by the sensor
+   * With a motion timeout, alarm_motion clears once no motion was reported for that long,
+   * without one it follows the sensor
+   */
+  onMotion(detected) {
+    const timeout = this.getSetting('motion_timeout');
+
+    if (!detected) {
+      // While the motion timeout runs it decides when motion clears
+      if (!timeout || !this.motionTimer) {
+        this.updateAlarm('alarm_motion', false);
+      }
+      return;
+    }
+
+    this.deviceState.lastMotion = new Date();
+    this.updateAlarm('alarm_motion', true);
+
+    this.homey.clearTimeout(this.motionTimer);
+    this.motionTimer = null;
+
+    if (timeout) {
+      this.motionTimer = this.homey.setTimeout(() => {
+        this.motionTimer = null;
+        this.updateAlarm('alarm_motion', false);
+      }, timeout * 1000);
+    }
+  }
+
+  /**
+   * Whether the sensor detects motion while its luminance is below a value in lux
+   */
+  hasMotionBelowLuminance(luminance) {
+    const measured = this.getCapabilityValue('measure_luminance');
+    return this.getCapabilityValue('alarm_motion') === true
+      && typeof measured === 'number'
+      && measured < luminance;
+  }
+
+  /**
+   * Set an alarm capability, reporting actual changes to the app
+   */
+  updateAlarm(capability, value) {
+    if (this.getCapabilityValue(capability) === value) {
+      return;
+    }
+
+    this.setCapabilityValue(capability, value).catch(this.error);
+    this.updateDeviceState(capability, value);
+  }
+
+  /**
+   * alarm_battery is on when the zone status flags a low battery or the level is low
+   */
+  updateBatteryAlarm(batteryPercentage) {
+    const low = this.zoneBatteryLow
+      || (typeof batteryPercentage === 'number' && batteryPercentage <= CONFIG.SENSOR.LOW_BATTERY);
+
+    this.updateAlarm('alarm_battery', low);
+  }
+
+  /**
+   * Emit frameReceived for every frame the node receives
+   */
+  watchIncomingFrames() {
+    const { node } = this;
+    const handleFrame = node.handleFrame;
+    node.handleFrame = (...args) => {
+      this.emit('frameReceived');
+      return handleFrame.apply(node, args);
+    };
+  }
+
+  /**
+   * Handle settings changes
+   */
+  async onSettings({ newSettings, changedKeys }) {
+    // A shorter timeout applies from the next motion, turning it off hands clearing back to the sensor
+    if (changedKeys.includes('motion_timeout') && !newSettings.motion_timeout && this.motionTimer) {
+      this.homey.clearTimeout(this.motionTimer);
+      this.motionTimer = null;
+    }
+  }
+
+  /**
+   * Update device state tracking
+   */
+  updateDeviceState(capability, value) {
+    this.deviceState.lastStateChange = {
+      capability,
+      value,
+      timestamp: new Date()
+    };
+    this.deviceState.stateChanges++;
+
+    // Emit capability change event for app
+    this.emit('capabilityChanged', capability, value);
+  }
+
+  /**
+   * Get device state information
+   */
+  getDeviceState() {
+    return {
+      ...this.deviceState,
+      deviceInfo: {
+        name: this.getName(),
+        id: this.getData().id,
+        capabilities: this.getCapabilities(),
+        available: this.getAvailable(),
+        capabilityValues: this.getCapabilities().reduce((values, capability) => {
+          values[capability] = this.getCapabilityValue(capability);
+          return values;
+        }, {})
+      }
+    };
+  }
+
+  /**
+   * Handle device deletion
+   */
+  async onDeleted() {
+    try {
+      this.log('Motion sensor is being deleted, cleaning up...');
+
+      this.homey.clearTimeout(this.motionTimer);
+      this.deviceState = null;
+
+      // Notify app of device deletion
+      this.homey.app.emit('deviceDeleted', this);
+
+      if (super.onDeleted) {
+        await super.onDeleted();
+      }
+    } catch (error) {
+      this.error('Error during device cleanup:', error);
+    }
+  }
+
+}
+
+module.exports = AdeoMotionSensor;
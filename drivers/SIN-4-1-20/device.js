@@ -0,0 +1,383 @@
+const { ZigBeeDevice } = require('homey-zigbeedriver');
+const { Cluster, CLUSTER } = require('zigbee-clusters');
+const { CONFIG, LexmanError, ZigBeeError } = require('../../lib/Config');
+const LightOnOffCluster = require('../../lib/LightOnOffCluster');
+const PlugOnOffCluster = require('../../lib/PlugOnOffCluster');
+
+// Adding a cluster prepares its attributes and commands but also makes it the app's OnOff cluster,
+// so the bulbs' cluster is added again after the plug's, which only the plug's endpoint uses
+Cluster.addCluster(PlugOnOffCluster);
+Cluster.addCluster(LightOnOffCluster);
+
+// Measurement capabilities, their cluster and the attributes scaling their reports
+const MEASUREMENTS = {
+  measure_power: {
+    cluster: CLUSTER.ELECTRICAL_MEASUREMENT,
+    attribute: 'activePower',
+    factor: 'activePowerFactor',
+    multiplier: 'acPowerMultiplier',
+    divisor: 'acPowerDivisor'
+  },
+  measure_voltage: {
+    cluster: CLUSTER.ELECTRICAL_MEASUREMENT,
+    attribute: 'rmsVoltage',
+    factor: 'acVoltageFactor',
+    multiplier: 'acVoltageMultiplier',
+    divisor: 'acVoltageDivisor'
+  },
+  measure_current: {
+    cluster: CLUSTER.ELECTRICAL_MEASUREMENT,
+    attribute: 'rmsCurrent',
+    factor: 'acCurrentFactor',
+    multiplier: 'acCurrentMultiplier',
+    divisor: 'acCurrentDivisor'
+  },
+  meter_power: {
+    cluster: CLUSTER.METERING,
+    attribute: 'currentSummationDelivered',
+    factor: 'meteringFactor',
+    multiplier: 'multiplier',
+    divisor: 'divisor'
+  }
+};
+
+// Plug settings and the OnOff attributes they are written to
+const PLUG_SETTINGS = {
+  startup_onoff: 'startUpOnOff',
+  child_lock: 'childLock'
+};
+
+class AdeoPlug extends ZigBeeDevice {
+
+  async onNodeInit({ zclNode }) {
+    try {
+      this.log('Initializing ADEO smart plug...');
+
+      this.deviceState = {
+        isInitialized: false,
+        lastStateChange: null,
+        stateChanges: 0,
+        errors: []
+      };
+
+      // Before any capability listens to the OnOff cluster
+      this.usePlugOnOffCluster();
+
+      await this.setupCapabilities();
+
+      // Reporting is stored on the plug, so it only has to be configured once
+      if (this.isFirstInit()) {
+        await this.configureMeasurementReporting().catch(this.error);
+      }
+
+      // Let the health monitor know about every frame from the plug
+      this.watchIncomingFrames();
+
+      // Check which plug settings the firmware supports, without delaying init
+      this.detectSettingsSupport().catch(this.error);
+
+      this.deviceState.isInitialized = true;
+      this.log('ADEO smart plug initialized successfully');
+
+      this.homey.app.emit('deviceInitialized', this);
+    } catch (error) {
+      this.error('Failed to initialize ADEO smart plug:', error);
+      this.deviceState.errors.push({
+        type: 'initialization',
+        error: error.message,
+        timestamp: new Date()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the OnOff cluster of the plug's endpoint by the one with the child lock attribute
+   */
+  usePlugOnOffCluster() {
+    const endpointId = this.getClusterEndpoint(CLUSTER.ON_OFF);
+    if (endpointId !== null) {
+      const endpoint = this.zclNode.endpoints[endpointId];
+      endpoint.clusters[PlugOnOffCluster.NAME] = new PlugOnOffCluster(endpoint);
+    }
+  }
+
+  /**
+   * Register onoff and the measurements of the clusters the plug has
+   */
+  async setupCapabilities() {
+    this.registerCapability('onoff', CLUSTER.ON_OFF);
+
+    // Multipliers and divisors have to be known before the first report is parsed
+    await this.loadMeasurementFactors();
+
+    for (const [capability, { cluster }] of Object.entries(MEASUREMENTS)) {
+      const supported = this.getClusterEndpoint(cluster) !== null;
+      await this.toggleCapability(capability, supported);
+
+      if (supported) {
+        this.registerCapability(capability, cluster);
+      }
+    }
+  }
+
+  /**
+   * Add or remove a capability
+   */
+  async toggleCapability(capability, enabled) {
+    if (enabled && !this.hasCapability(capability)) {
+      await this.addCapability(capability);
+      this.log(`Added ${capability} capability`);
+    } else if (!enabled && this.hasCapability(capability)) {
+      await this.removeCapability(capability);
+      this.log(`Removed ${capability} capability`);
+    }
+  }
+
+  /**
+   * Get a cluster of the plug, null when it has no endpoint for it
+   */
+  getCluster(cluster) {
+    const endpointId = this.getClusterEndpoint(cluster);
+    if (endpointId === null) {
+      return null;
+    }
+    return this.zclNode.endpoints[endpointId].clusters[cluster.NAME];
+  }
+
+  /**
+   * Read the multipliers and divisors of the measurements once, and set the factors
+   * homey-zigbeedriver's report parsers scale the reported values with
+   */
+  async loadMeasurementFactors() {
+    let factors = this.getStoreValue(CONFIG.PLUG.FACTORS_STORE_KEY);
+
+    if (!factors) {
+      factors = {};
+      for (const cluster of [CLUSTER.ELECTRICAL_MEASUREMENT, CLUSTER.METERING]) {
+        const measurements = Object.values(MEASUREMENTS).filter(measurement => measurement.cluster === cluster);
+        const zclCluster = this.getCluster(cluster);
+        if (!zclCluster) {
+          continue;
+        }
+
+        try {
+          const values = await zclCluster.readAttributes(measurements.flatMap(({ multiplier, divisor }) => [multiplier, divisor]));
+          measurements.forEach(({ factor, multiplier, divisor }) => {
+            // Attributes the firmware does not have leave the value unscaled
+            if (values[multiplier] && values[divisor]) {
+              factors[factor] = values[multiplier] / values[divisor];
+            }
+          });
+        } catch (error) {
+          this.error(`Could not read the ${cluster.NAME} multipliers:`, error);
+          return;
+        }
+      }
+
+      await this.setStoreValue(CONFIG.PLUG.FACTORS_STORE_KEY, factors);
+    }
+
+    Object.assign(this, factors);
+    this.log('Measurement factors:', factors);
+  }
+
+  /**
+   * Configure how often the plug reports its measurements, from the device settings
+   */
+  async configureMeasurementReporting({
+    minInterval = this.getSetting('report_min_interval'),
+    maxInterval = this.getSetting('report_max_interval')
+  } = {}) {
+    const configurations = Object.entries(MEASUREMENTS)
+      .filter(([capability]) => this.hasCapability(capability))
+      .map(([capability, { cluster, attribute, factor }]) => ({
+        endpointId: this.getClusterEndpoint(cluster),
+        cluster,
+        attributeName: attribute,
+        minInterval,
+        maxInterval,
+        // Thresholds are in capability units, the plug compares raw values
+        minChange: Math.max(1, Math.round(CONFIG.PLUG.REPORT_MIN_CHANGE[capability] / (this[factor] || 1)))
+      }));
+
+    if (configurations.length === 0) {
+      return;
+    }
+
+    await this.configureAttributeReporting(configurations);
+    this.log(`Measurement reporting configured: every ${minInterval} - ${maxInterval}s`);
+  }
+
+  /**
+   * Emit frameReceived for every frame the node receives
+   */
+  watchIncomingFrames() {
+    const { node } = this;
+    const handleFrame = node.handleFrame;
+    node.handleFrame = (...args) => {
+      this.emit('frameReceived');
+      return handleFrame.apply(node, args);
+    };
+  }
+
+  /**
+   * Read the on/off state to check the plug still responds, used by the health monitor
+   */
+  async ping() {
+    await this.getCluster(CLUSTER.ON_OFF).readAttributes(['onOff']);
+  }
+
+  /**
+   * Toggle the plug with the OnOff toggle command
+   */
+  async toggle() {
+    await this.getCluster(CLUSTER.ON_OFF).toggle();
+
+    const value = !this.getCapabilityValue('onoff');
+    this.updateDeviceState('onoff', value);
+    await this.setCapabilityValue('onoff', value);
+  }
+
+  /**
+   * Read the power-on state and child lock attributes to find out which the firmware supports
+   * The current values are copied to the settings so they reflect the plug
+   */
+  async detectSettingsSupport() {
+    const support = {};
+    const settings = {};
+    let values = {};
+
+    try {
+      values = await this.getCluster(CLUSTER.ON_OFF).readAttributes(Object.values(PLUG_SETTINGS));
+    } catch (error) {
+      this.error('Could not read the plug settings:', error);
+    }
+
+    for (const [key, attribute] of Object.entries(PLUG_SETTINGS)) {
+      support[key] = values[attribute] !== undefined;
+
+      // Vendor specific startUpOnOff values have no matching setting
+      if (support[key] && (key !== 'startup_onoff' || typeof values[attribute] === 'string')) {
+        settings[key] = values[attribute];
+      }
+    }
+
+    await this.setStoreValue(CONFIG.PLUG.SUPPORT_STORE_KEY, support);
+    await this.setSettings({ ...settings, plug_support: this.describeSettingsSupport(support) });
+    return support;
+  }
+
+  /**
+   * Human readable summary of the supported plug settings
+   */
+  describeSettingsSupport(support) {
+    const labels = {
+      startup_onoff: 'power-on state',
+      child_lock: 'child lock'
+    };
+
+    const supported = Object.keys(labels).filter(key => support[key]).map(key => labels[key]);
+    if (supported.length === 0) {
+      return 'Not supported by this firmware';
+    }
+    return `Supported: ${supported.join(', ')}`;
+  }
+
+  /**
+   * Write a plug setting to its OnOff attribute
+   */
+  async writePlugSetting(key, value) {
+    const attribute = PLUG_SETTINGS[key];
+    const support = this.getStoreValue(CONFIG.PLUG.SUPPORT_STORE_KEY) || {};
+
+    if (support[key] === false) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.ATTRIBUTE_NOT_SUPPORTED, `This plug's firmware does not support ${attribute}`, CLUSTER.ON_OFF.ID, null);
+    }
+
+    const { attributes = [] } = await this.getCluster(CLUSTER.ON_OFF).writeAttributes({ [attribute]: value });
+    const failed = attributes.find(result => result.status !== 'SUCCESS');
+    if (failed) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.ATTRIBUTE_NOT_SUPPORTED, `This plug's firmware rejected ${attribute} (${failed.status})`, CLUSTER.ON_OFF.ID, null);
+    }
+
+    this.log(`Plug setting ${key} written:`, value);
+  }
+
+  /**
+   * Handle settings changes
+   */
+  async onSettings({ newSettings, changedKeys }) {
+    const minInterval = newSettings.report_min_interval;
+    const maxInterval = newSettings.report_max_interval;
+
+    if (changedKeys.includes('report_min_interval') || changedKeys.includes('report_max_interval')) {
+      if (minInterval > maxInterval) {
+        throw new LexmanError(CONFIG.ERROR_CODES.INVALID_VALUE, 'The minimum interval must not be longer than the maximum interval');
+      }
+      await this.configureMeasurementReporting({ minInterval, maxInterval });
+    }
+
+    for (const key of changedKeys) {
+      if (PLUG_SETTINGS[key]) {
+        await this.writePlugSetting(key, newSettings[key]);
+      }
+    }
+  }
+
+  /**
+   * Update device state tracking
+   */
+  updateDeviceState(capability, value) {
+    this.deviceState.lastStateChange = {
+      capability,
+      value,
+      timestamp: new Date()
+    };
+    this.deviceState.stateChanges++;
+
+    this.emit('capabilityChanged', capability, value);
+  }
+
+  /**
+   * Get device state information
+   */
+  getDeviceState() {
+    return {
+      ...this.deviceState,
+      deviceInfo: {
+        name: this.getName(),
+        id: this.getData().id,
+        capabilities: this.getCapabilities(),
+        available: this.getAvailable(),
+        capabilityValues: this.getCapabilities().reduce((values, capability) => {
+          values[capability] = this.getCapabilityValue(capability);
+          return values;
+        }, {})
+      }
+    };
+  }
+
+  /**
+   * Handle device deletion
+   */
+  async onDeleted() {
+    try {
+      this.log('Smart plug is being deleted, cleaning up...');
+
+      this.deviceState = null;
+
+      // Notify app of device deletion
+      this.homey.app.emit('deviceDeleted', this);
+
+      if (super.onDeleted) {
+        await super.onDeleted();
+      }
+    } catch (error) {
+      this.error('Error during device cleanup:', error);
+    }
+  }
+
+}
+
+module.exports = AdeoPlug;
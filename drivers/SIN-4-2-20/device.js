@@ -0,0 +1,341 @@
+const { ZigBeeDevice, Util } = require('homey-zigbeedriver');
+const { Cluster, CLUSTER } = require('zigbee-clusters');
+const { CONFIG, LexmanError, ZigBeeError } = require('../../lib/Config');
+const AdeoCluster = require('../../lib/AdeoCluster');
+
+// Holds the switch type of the micromodules
+Cluster.addCluster(AdeoCluster);
+
+// Highest LevelControl level, a dim of 1 without a custom range
+const MAX_LEVEL = 254;
+
+class AdeoMicromodule extends ZigBeeDevice {
+
+  async onNodeInit({ zclNode }) {
+    try {
+      this.log('Initializing ADEO micromodule...');
+
+      this.deviceState = {
+        isInitialized: false,
+        lastStateChange: null,
+        stateChanges: 0,
+        errors: []
+      };
+
+      // Channel 2 used to be a sub device, it is now part of the main device
+      if (this.isSubDevice()) {
+        this.log('Channel sub devices are no longer used');
+        await this.setUnavailable('Channel 2 is now controlled from the main device, this device can be deleted');
+        return;
+      }
+
+      await this.setupCapabilities();
+
+      // Let the health monitor know about every frame from the module
+      this.watchIncomingFrames();
+
+      // The switch type is set for the whole module
+      this.detectSwitchTypeSupport().catch(this.error);
+
+      this.deviceState.isInitialized = true;
+      this.log('ADEO micromodule initialized successfully');
+
+      this.homey.app.emit('deviceInitialized', this);
+    } catch (error) {
+      this.error('Failed to initialize ADEO micromodule:', error);
+      this.deviceState.errors.push({
+        type: 'initialization',
+        error: error.message,
+        timestamp: new Date()
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a cluster of an endpoint, null when the module does not have it
+   */
+  getCluster(cluster, endpointId = CONFIG.ZIGBEE.ENDPOINT_ID) {
+    const endpoint = this.zclNode.endpoints[endpointId];
+    return (endpoint && endpoint.clusters[cluster.NAME]) || null;
+  }
+
+  /**
+   * Register the first channel on onoff and dim, the other channels on sub capabilities
+   * Channels are only added when the module has their endpoint, single channel modules have one
+   */
+  async setupCapabilities() {
+    await this.setupChannel(CONFIG.ZIGBEE.ENDPOINT_ID, '');
+
+    for (const [channel, endpointId] of Object.entries(CONFIG.MICROMODULE.CHANNEL_ENDPOINTS)) {
+      if (!this.zclNode.endpoints[endpointId]) {
+        this.log(`Module has no endpoint ${endpointId}, ${channel} not added`);
+      }
+      await this.setupChannel(endpointId, `.${channel}`);
+    }
+  }
+
+  /**
+   * Register onoff, and dim for channels with a LevelControl cluster, of the channel on an endpoint
+   * Sub capabilities have no homey-zigbeedriver defaults, so the whole configuration is given
+   */
+  async setupChannel(endpointId, suffix) {
+    const onoff = `onoff${suffix}`;
+    const dim = `dim${suffix}`;
+    const present = this.getCluster(CLUSTER.ON_OFF, endpointId) !== null;
+    const dimmable = present && this.getCluster(CLUSTER.LEVEL_CONTROL, endpointId) !== null;
+
+    await this.toggleCapability(onoff, present);
+    await this.toggleCapability(dim, dimmable);
+
+    if (!present) {
+      return;
+    }
+
+    this.registerCapability(onoff, CLUSTER.ON_OFF, {
+      endpoint: endpointId,
+      get: 'onOff',
+      getOpts: { getOnStart: true },
+      set: value => (value ? 'setOn' : 'setOff'),
+      setParser: (value) => {
+        this.reportOnOff(onoff, value);
+        return {};
+      },
+      report: 'onOff',
+      reportParser: value => this.reportOnOff(onoff, value)
+    });
+
+    if (dimmable) {
+      this.registerCapability(dim, CLUSTER.LEVEL_CONTROL, {
+        endpoint: endpointId,
+        get: 'currentLevel',
+        getOpts: { getOnStart: true },
+        set: 'moveToLevelWithOnOff',
+        setParser: async (value, opts = {}) => {
+          await this.setCapabilityValue(onoff, this.reportOnOff(onoff, value > 0));
+          return {
+            level: this.levelFromDim(value),
+            transitionTime: Util.calculateLevelControlTransitionTime(opts)
+          };
+        },
+        report: 'currentLevel',
+        reportParser: value => this.dimFromLevel(value)
+      });
+    }
+  }
+
+  /**
+   * Report actual on/off changes of a channel to the app, returns the value for the capability
+   */
+  reportOnOff(capability, value) {
+    const previous = this.getCapabilityValue(capability);
+    if (previous !== value) {
+      this.updateDeviceState(capability, value, previous);
+    }
+    return value;
+  }
+
+  /**
+   * Switch or dim a channel from a flow, like from its capability in the device view
+   */
+  async setChannelValue(capability, value) {
+    await this.triggerCapabilityListener(capability, value);
+    await this.setCapabilityValue(capability, value);
+  }
+
+  /**
+   * Add or remove a capability
+   */
+  async toggleCapability(capability, enabled) {
+    if (enabled && !this.hasCapability(capability)) {
+      await this.addCapability(capability);
+      this.log(`Added ${capability} capability`);
+    } else if (!enabled && this.hasCapability(capability)) {
+      await this.removeCapability(capability);
+      this.log(`Removed ${capability} capability`);
+    }
+  }
+
+  /**
+   * LevelControl levels of the minimum and maximum level settings
+   * The range only applies to dimming from Homey, the module is not told about it
+   */
+  getLevelRange({
+    minLevel = this.getSetting('min_level'),
+    maxLevel = this.getSetting('max_level')
+  } = {}) {
+    return {
+      min: Math.round((minLevel / 100) * MAX_LEVEL),
+      max: Math.round((maxLevel / 100) * MAX_LEVEL)
+    };
+  }
+
+  /**
+   * Level for a dim value, spread over the configured level range
+   */
+  levelFromDim(dim) {
+    if (dim <= 0) {
+      return 0;
+    }
+
+    const { min, max } = this.getLevelRange();
+    return Math.round(min + dim * (max - min));
+  }
+
+  /**
+   * Dim value for a level, levels outside the configured range are clamped to it
+   */
+  dimFromLevel(level) {
+    if (level <= 0) {
+      return 0;
+    }
+
+    const { min, max } = this.getLevelRange();
+    // A lamp below the minimum level is still on
+    return Math.max(0.01, Math.min(1, (level - min) / (max - min)));
+  }
+
+  /**
+   * Read the switch type to find out whether the module supports it
+   * The current value is copied to the setting so it reflects the module
+   */
+  async detectSwitchTypeSupport() {
+    const adeoCluster = this.getCluster(AdeoCluster);
+    let switchType;
+
+    if (adeoCluster) {
+      try {
+        ({ switchType } = await adeoCluster.readAttributes(['switchType']));
+      } catch (error) {
+        this.error('Could not read the switch type:', error);
+      }
+    }
+
+    const supported = typeof switchType === 'string';
+    await this.setStoreValue(CONFIG.MICROMODULE.SWITCH_TYPE_STORE_KEY, supported);
+    if (supported) {
+      await this.setSettings({ switch_type: switchType });
+    }
+    return supported;
+  }
+
+  /**
+   * Write the switch type to the manufacturer specific cluster
+   */
+  async writeSwitchType(switchType) {
+    const adeoCluster = this.getCluster(AdeoCluster);
+
+    if (!adeoCluster || this.getStoreValue(CONFIG.MICROMODULE.SWITCH_TYPE_STORE_KEY) === false) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.ATTRIBUTE_NOT_SUPPORTED, 'This module does not support setting the switch type', AdeoCluster.ID, CONFIG.ZIGBEE.ENDPOINT_ID);
+    }
+
+    const { attributes = [] } = await adeoCluster.writeAttributes({ switchType });
+    const failed = attributes.find(result => result.status !== 'SUCCESS');
+    if (failed) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.ATTRIBUTE_NOT_SUPPORTED, `This module rejected the switch type (${failed.status})`, AdeoCluster.ID, CONFIG.ZIGBEE.ENDPOINT_ID);
+    }
+
+    this.log('Switch type written:', switchType);
+  }
+
+  /**
+   * Emit frameReceived for every frame the node receives
+   */
+  watchIncomingFrames() {
+    const { node } = this;
+    const handleFrame = node.handleFrame;
+    node.handleFrame = (...args) => {
+      this.emit('frameReceived');
+      return handleFrame.apply(node, args);
+    };
+  }
+
+  /**
+   * Read the on/off state of the first channel to check the module still responds, used by the health monitor
+   */
+  async ping() {
+    await this.getCluster(CLUSTER.ON_OFF).readAttributes(['onOff']);
+  }
+
+  /**
+   * Toggle the first channel with the OnOff toggle command
+   */
+  async toggle() {
+    await this.getCluster(CLUSTER.ON_OFF).toggle();
+
+    const value = !this.getCapabilityValue('onoff');
+    this.updateDeviceState('onoff', value, !value);
+    await this.setCapabilityValue('onoff', value);
+  }
+
+  /**
+   * Handle settings changes
+   */
+  async onSettings({ newSettings, changedKeys }) {
+    if (changedKeys.includes('min_level') || changedKeys.includes('max_level')) {
+      if (newSettings.min_level >= newSettings.max_level) {
+        throw new LexmanError(CONFIG.ERROR_CODES.INVALID_VALUE, 'The minimum level must be lower than the maximum level');
+      }
+    }
+
+    if (changedKeys.includes('switch_type')) {
+      await this.writeSwitchType(newSettings.switch_type);
+    }
+  }
+
+  /**
+   * Update device state tracking, previous is null for the first value after pairing
+   */
+  updateDeviceState(capability, value, previous = null) {
+    this.deviceState.lastStateChange = {
+      capability,
+      value,
+      timestamp: new Date()
+    };
+    this.deviceState.stateChanges++;
+
+    this.emit('capabilityChanged', capability, value, previous);
+  }
+
+  /**
+   * Get device state information
+   */
+  getDeviceState() {
+    return {
+      ...this.deviceState,
+      deviceInfo: {
+        name: this.getName(),
+        id: this.getData().id,
+        capabilities: this.getCapabilities(),
+        available: this.getAvailable(),
+        capabilityValues: this.getCapabilities().reduce((values, capability) => {
+          values[capability] = this.getCapabilityValue(capability);
+          return values;
+        }, {})
+      }
+    };
+  }
+
+  /**
+   * Handle device deletion
+   */
+  async onDeleted() {
+    try {
+      this.log('Micromodule is being deleted, cleaning up...');
+
+      this.deviceState = null;
+
+      // Notify app of device deletion
+      this.homey.app.emit('deviceDeleted', this);
+
+      if (super.onDeleted) {
+        await super.onDeleted();
+      }
+    } catch (error) {
+      this.error('Error during device cleanup:', error);
+    }
+  }
+
+}
+
+module.exports = AdeoMicromodule;
@@ -0,0 +1,8 @@
+const { ZigBeeDriver } = require('homey-zigbeedriver');
+
+/**
+ * Driver of the micromodules, homey-zigbeedriver needs a ZigBeeDriver for the channel sub devices of earlier versions
+ */
+class AdeoMicromoduleDriver extends ZigBeeDriver {}
+
+module.exports = AdeoMicromoduleDriver;
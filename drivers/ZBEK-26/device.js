@@ -1,11 +1,11 @@
 const { ZigBeeDevice } = require('homey-zigbeedriver');
-const { debug, CLUSTER } = require('zigbee-clusters');
-const OnOffBoundCluster = require('../../lib/OnOffBoundCluster');
-const LevelControlBoundCluster = require('../../lib/LevelControlBoundCluster');
-const ScenesBoundCluster = require('../../lib/ScenesBoundCluster');
-const ColorControlBoundCluster = require('../../lib/ColorControlBoundCluster');
-const AdeoBoundCluster = require('../../lib/AdeoBoundCluster');
+const { debug } = require('zigbee-clusters');
 const AdeoCluster = require('../../lib/AdeoCluster');
+const Battery = require('../../lib/Battery');
+const RemoteFrameDecoder = require('../../lib/RemoteFrameDecoder');
+const GestureEngine = require('../../lib/GestureEngine');
+const FrameRecorder = require('../../lib/FrameRecorder');
+const { CONFIG, DeviceError } = require('../../lib/Config');
 
 class AdeoRemote extends ZigBeeDevice {
 
@@ -25,67 +25,8 @@ class AdeoRemote extends ZigBeeDevice {
         this.log('Added measure_battery capability');
       }
 
-      // Register battery capability using the proper ZigBeeDevice method
-      this.registerCapability('measure_battery', CLUSTER.POWER_CONFIGURATION, {
-        get: 'batteryPercentageRemaining',
-        report: 'batteryPercentageRemaining',
-        reportParser: (value) => {
-          this.log('Battery percentage report received:', value);
-          
-          // Handle different battery value formats
-          let batteryPercentage;
-          if (value === 255 || value === null || value === undefined) {
-            // Invalid/unknown battery level
-            return null;
-          } else if (value > 200) {
-            // Some devices report 0-255 scale
-            batteryPercentage = Math.max(0, Math.min(100, Math.round((value / 255) * 100)));
-          } else if (value > 100) {
-            // Standard ZCL 0-200 scale (200 = 100%)
-            batteryPercentage = Math.max(0, Math.min(100, Math.round(value / 2)));
-          } else {
-            // Already 0-100 scale
-            batteryPercentage = Math.max(0, Math.min(100, Math.round(value)));
-          }
-          
-          this.log(`Parsed battery percentage: ${batteryPercentage}%`);
-          return batteryPercentage;
-        },
-        reportOpts: {
-          configureAttributeReporting: {
-            minInterval: 300, // 5 minutes
-            maxInterval: 7200, // 2 hours
-            minChange: 2, // 2% change
-          },
-        },
-        getOpts: {
-          getOnStart: true, // Get battery level on device startup
-          getOnOnline: true, // Get battery level when device comes online
-        },
-      });
-
-      // Also try to register battery voltage as a fallback
-      try {
-        const powerCluster = this.zclNode.endpoints[1]?.clusters?.powerConfiguration;
-        if (powerCluster) {
-          // Listen for battery voltage as fallback
-          powerCluster.on('attr.batteryVoltage', (value) => {
-            this.log('Battery voltage report received:', value);
-            try {
-              // Convert voltage to percentage (typical CR2032: 3.0V = 100%, 2.0V = 0%)
-              const voltage = value / 10; // Convert from decivolts to volts
-              const batteryPercentage = Math.max(0, Math.min(100, Math.round((voltage - 2.0) / (3.0 - 2.0) * 100)));
-              
-              this.log(`Converted voltage ${voltage}V to battery percentage: ${batteryPercentage}%`);
-              this.setCapabilityValue('measure_battery', batteryPercentage).catch(this.error);
-            } catch (error) {
-              this.error('Error processing battery voltage:', error);
-            }
-          });
-        }
-      } catch (voltageErr) {
-        this.log('Battery voltage fallback not available:', voltageErr.message);
-      }
+      // Battery percentage, with the battery voltage as fallback
+      Battery.register(this);
 
       // Initialize device state
       this.deviceState = {
@@ -95,14 +36,30 @@ class AdeoRemote extends ZigBeeDevice {
         errors: []
       };
 
+      // Decoded button commands, kept in the device statistics
+      this.commandHistory = [];
+
+      // Decoder turning raw frames into button events
+      this.frameDecoder = new RemoteFrameDecoder(undefined, this.getCustomButtons());
+      this.frameDecoder.setMappings(this.loadButtonMappings());
+
+      // Raw frames recorded in learning mode
+      this.frameRecorder = new FrameRecorder({
+        frames: this.getStoreValue(CONFIG.LEARNING.FRAMES_STORE_KEY) || []
+      });
+
+      // Gesture engine turning button events into press/hold gestures
+      this.gestureEngine = new GestureEngine({
+        timers: this.homey,
+        ...this.getGestureThresholds(this.getSettings())
+      });
+      this.gestureEngine.on('gesture', this.triggerGesture.bind(this));
+
       // Setup device endpoints and clusters
       await this.setupEndpoints(zclNode);
       
       // Setup frame handling for manufacturer-specific frames
       await this.setupFrameHandling(zclNode);
-      
-      // Setup cluster bindings
-      await this.setupClusterBindings(zclNode);
 
       this.deviceState.isInitialized = true;
       this.log('ADEO Remote device initialized successfully');
@@ -137,6 +94,9 @@ class AdeoRemote extends ZigBeeDevice {
 
   /**
    * Setup frame handling for manufacturer-specific frames
+   * Every button command reaches Homey through the bindings created at pairing, they are
+   * decoded here before zigbee-clusters sees them. The app cannot bind the remote to bulbs,
+   * Homey does not let apps send the ZDO bind requests for that.
    */
   async setupFrameHandling(zclNode) {
     this.log('Setting up frame handling...');
@@ -169,23 +129,33 @@ class AdeoRemote extends ZigBeeDevice {
         meta
       });
 
-      // Handle manufacturer-specific cluster (65024)
-      if (endpointId === 1 && clusterId === 65024) {
-        return this.handleManufacturerFrame(frame, meta);
-      }
-      
-      // Handle Color Control cluster (768) for up/down/left/right buttons
-      if (endpointId === 1 && clusterId === 768) {
-        return this.handleColorControlFrame(frame, meta);
+      const frameBuffer = Buffer.isBuffer(frame) ? frame : Buffer.from(frame);
+
+      // Keeps the health monitor's last seen time up to date
+      this.emit('frameReceived');
+
+      if (this.getSetting('learning_mode')) {
+        this.recordFrame(endpointId, clusterId, frameBuffer);
       }
-      
-      // Handle Scenes cluster (5) for scene buttons
-      if (endpointId === 1 && clusterId === 5) {
-        this.log('Received Scenes cluster frame:', { frame, meta });
-        // Let the scenes bound cluster handle this
+
+      if (endpointId === CONFIG.ZIGBEE.ENDPOINT_ID) {
+        const event = this.frameDecoder.decodeFrame(clusterId, frameBuffer);
+
+        // Every frame of the button endpoint, decoded or not, for the live log on the settings page
+        this.emit('buttonFrame', {
+          clusterId,
+          frame: frameBuffer.toString('hex'),
+          event
+        });
+
+        if (event) {
+          return this.handleButtonEvent(event, meta);
+        }
+
+        this.log(`No button mapping for frame on cluster ${clusterId}: ${frameBuffer.toString('hex')}`);
       }
-      
-      // Call original handler for other clusters
+
+      // Call original handler for frames that are not button presses
       if (this.originalHandleFrame) {
         this.originalHandleFrame.call(node, endpointId, clusterId, frame, meta);
       }
@@ -198,471 +168,259 @@ class AdeoRemote extends ZigBeeDevice {
         clusterId,
         endpointId
       });
+
+      // Counted in the persisted device statistics once the app registered the remote
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error, 'frame_handling');
+      }
     }
   }
 
   /**
-   * Handle manufacturer-specific frames
+   * Button commands received from the remote, persisted with the device statistics
    */
-  handleManufacturerFrame(frame, meta) {
-    this.log('Received manufacturer frame:', {
-      frame: frame.toString('hex'),
-      meta
-    });
-    
-    try {
-      // Parse the frame data - button ID is at position 5
-      if (frame.length >= 6) {
-        const buttonId = frame[5];
-        const action = frame.length > 6 ? frame[6] : frame[1];
-        
-        // Map button IDs to scene numbers - updated mapping based on actual data
-        const sceneMap = { 0x0a: 1, 0x0b: 2, 0x0c: 3, 0x0d: 4 };
-        const sceneId = sceneMap[buttonId];
-        
-        if (sceneId) {
-          this.triggerSceneButton(sceneId, { buttonId, action });
-        }
-      }
-    } catch (error) {
-      this.error('Error parsing manufacturer frame:', error);
-    }
+  getCommandHistory() {
+    return [...this.commandHistory];
   }
 
   /**
-   * Handle Color Control cluster frames
+   * Restore button commands saved before an app restart, keeping the newest records
    */
-  handleColorControlFrame(frame, meta) {
-    this.log('Received Color Control frame:', {
-      cmdId: frame.cmdId,
-      data: frame.data ? frame.data.toString('hex') : 'no data',
-      meta,
-      fullFrame: frame.toString ? frame.toString('hex') : frame
-    });
-    
-    try {
-      // Parse the raw frame buffer to extract button information
-      let frameBuffer;
-      if (Buffer.isBuffer(frame)) {
-        frameBuffer = frame;
-      } else if (frame.toString && typeof frame.toString === 'function') {
-        frameBuffer = Buffer.from(frame.toString('hex'), 'hex');
-      } else {
-        this.log('Color Control frame format not recognized, skipping');
-        return;
-      }
+  restoreCommandHistory(records = []) {
+    const restored = records.map(record => ({ ...record, timestamp: new Date(record.timestamp) }));
+    this.commandHistory = [...restored, ...this.commandHistory].slice(-CONFIG.STATISTICS.MAX_COMMAND_HISTORY);
+  }
 
-      // Check if frame follows expected pattern: 01[button_id][param][data_byte]...
-      if (frameBuffer.length >= 4 && frameBuffer[0] === 0x01) {
-        const buttonId = frameBuffer[1];  // Second byte is button ID
-        const param = frameBuffer[2];     // Third byte is parameter
-        const dataByte = frameBuffer[3];  // Fourth byte might help identify button
-        
-        this.log(`Parsed frame - buttonId: 0x${buttonId.toString(16)}, param: 0x${param.toString(16)}, dataByte: 0x${dataByte.toString(16)}`);
-        
-        const action = this.parseButtonWithContext(buttonId, param, dataByte, frameBuffer);
-        
-        if (action) {
-          this.triggerAction(action, { 
-            buttonId, 
-            param,
-            dataByte,
-            frameHex: frameBuffer.toString('hex'),
-            meta 
-          });
-        }
-      } else {
-        this.log('Frame does not match expected pattern, trying fallback parsing');
-        // Fallback to original parsing logic
-        const cmdId = frame.cmdId || frameBuffer[0];
-        const direction = frameBuffer[1] || 0x00;
-        const action = this.parseColorControlCommand(cmdId, direction, frameBuffer);
-        
-        if (action) {
-          this.triggerAction(action, { 
-            direction, 
-            cmdId, 
-            data: frameBuffer.toString('hex'),
-            meta 
-          });
-        }
-      }
-    } catch (error) {
-      this.error('Error parsing Color Control frame:', error);
-    }
+  /**
+   * Forget the received button commands
+   */
+  clearCommandHistory() {
+    this.commandHistory = [];
   }
 
   /**
-   * Parse button with additional context from frame data
+   * Add a decoded button event to the command history
    */
-  parseButtonWithContext(buttonId, param, dataByte, frameBuffer) {
-    this.log(`Parsing button with context - buttonId: 0x${buttonId.toString(16)}, param: 0x${param.toString(16)}, dataByte: 0x${dataByte.toString(16)}`);
-    
-    // Use the dataByte (4th byte) to help identify the actual button
-    // Final working mappings:
-    // - param 0x02 + dataByte 0x01 = Green Right  
-    // - param 0x02 + dataByte 0x03 = Green Left
-    // - param 0x05 + dataByte 0x01 = Green Up
-    // - param 0x05 + dataByte 0x03 = Green Down
-    // - param 0x4c + dataByte 0x01 = Red Up
-    // - param 0x4c + dataByte 0x03 = Red Down
-    
-    if (param === 0x02) {
-      // Green left/right buttons
-      if (dataByte === 0x01) {
-        return this.getButtonAction('pressed_green_right', 'green right (context detected)');
-      } else if (dataByte === 0x03) {
-        return this.getButtonAction('pressed_green_left', 'green left (context detected)');
-      }
-    } else if (param === 0x05) {
-      // Green up/down buttons
-      if (dataByte === 0x01) {
-        return this.getButtonAction('pressed_green_up', 'green up (context detected)');
-      } else if (dataByte === 0x03) {
-        return this.getButtonAction('pressed_green_down', 'green down (context detected)');
-      }
-    } else if (param === 0x4c) {
-      // Red buttons
-      if (dataByte === 0x01) {
-        return this.getButtonAction('pressed_red_up', 'red up (context detected)');
-      } else if (dataByte === 0x03) {
-        return this.getButtonAction('pressed_red_down', 'red down (context detected)');
-      }
+  recordCommand(event) {
+    this.commandHistory.push({
+      command: event.type === 'release' ? 'release' : event.button,
+      type: event.type,
+      clusterId: event.clusterId,
+      commandId: event.commandId,
+      timestamp: new Date(),
+      id: Math.random().toString(36).substring(2, 11)
+    });
+
+    if (this.commandHistory.length > CONFIG.STATISTICS.MAX_COMMAND_HISTORY) {
+      this.commandHistory.shift();
     }
-    
-    // Fallback to the original parseButtonId if context detection fails
-    return this.parseButtonId(buttonId, param);
   }
 
   /**
-   * Parse button ID and determine action
+   * Dispatch a decoded button event to the matching flow trigger
    */
-  parseButtonId(buttonId, param) {
-    this.log(`Parsing button ID: 0x${buttonId.toString(16)}, param: 0x${param.toString(16)}`);
-    
-    // The button IDs increment with each press, so we need to determine button type based on patterns
-    // We'll use the parameter byte and the frame structure to identify buttons consistently
-    
-    const buttonMap = {
-      // Original mapping (for reference) - updated to new action names
-      0x17: () => this.getButtonAction('pressed_green_up', 'green up'),
-      0x18: () => this.getButtonAction('pressed_green_down', 'green down'),
-      0x19: () => this.getButtonAction('pressed_green_left', 'green left'),
-      0x1a: () => this.getButtonAction('pressed_green_right', 'green right'),
-      0x1b: () => this.getButtonAction('pressed_red_up', 'red up'),
-      0x1c: () => this.getButtonAction('pressed_red_down', 'red down'),
-      
-      // Updated mapping based on observed sequences
-      0x1d: () => this.getButtonAction('pressed_green_up', 'green up'),
-      0x1e: () => this.getButtonAction('pressed_green_down', 'green down'),
-      0x1f: () => this.getButtonAction('pressed_green_left', 'green left'),
-      0x20: () => this.getButtonAction('pressed_green_right', 'green right'),
-      0x21: () => this.getButtonAction('pressed_red_up', 'red up'),
-      0x22: () => this.getButtonAction('pressed_red_down', 'red down'),
-      
-      0x23: () => this.getButtonAction('pressed_green_up', 'green up'),
-      0x24: () => this.getButtonAction('pressed_green_down', 'green down'),
-      0x25: () => this.getButtonAction('pressed_green_left', 'green left'),
-      0x26: () => this.getButtonAction('pressed_green_right', 'green right'),
-      0x27: () => this.getButtonAction('pressed_red_up', 'red up'),
-      0x28: () => this.getButtonAction('pressed_red_down', 'red down')
+  handleButtonEvent(event, meta) {
+    const buttonData = {
+      clusterId: event.clusterId,
+      commandId: event.commandId,
+      payload: event.payload,
+      meta
     };
-    
-    const parseFunction = buttonMap[buttonId];
-    if (parseFunction) {
-      return parseFunction();
+
+    this.recordCommand(event);
+
+    if (event.type === 'hold') {
+      this.log(`Remote action: ${event.button} held`);
+      return this.gestureEngine.hold(event.button, { event, buttonData });
     }
-    
-    // Improved pattern detection based on actual observations
-    if (param === 0x4c) {
-      // Red buttons typically have param 0x4c
-      // Use buttonId modulo to determine up/down
-      if (buttonId % 2 === 1) {
-        return this.getButtonAction('pressed_red_up', 'red up (pattern detected)');
-      } else {
-        return this.getButtonAction('pressed_red_down', 'red down (pattern detected)');
-      }
-    } else if (param === 0x05) {
-      // Green up/down buttons have param 0x05
-      if (buttonId % 2 === 1) {
-        return this.getButtonAction('pressed_green_up', 'green up (param 0x05)');
-      } else {
-        return this.getButtonAction('pressed_green_down', 'green down (param 0x05)');
-      }
-    } else if (param === 0x02) {
-      // Green left/right buttons have param 0x02
-      // We need to track the button state to determine which button is actually being pressed
-      return this.determineGreenButtonFromHistory(buttonId, param);
+
+    if (event.type === 'release') {
+      this.log('Remote action: button released');
+      return this.gestureEngine.release();
     }
-    
-    this.log(`Unhandled button ID: 0x${buttonId.toString(16)}, param: 0x${param.toString(16)}`);
-    return null;
+
+    this.log(`Remote action: ${event.button} -> ${event.triggerId}`);
+    return this.gestureEngine.press(event.button, { event, buttonData });
   }
 
   /**
-   * Determine green button from history and context
+   * Fire the per-button trigger cards for a completed short press
    */
-  determineGreenButtonFromHistory(buttonId, param) {
-    // Since the button IDs increment regardless of which physical button is pressed,
-    // we need a different approach. Let's use the third byte of the frame for additional context.
-    
-    // For now, let's assume that repeated presses of the same physical button
-    // will maintain some consistency in the frame structure beyond just the button ID
-    
-    // Check if we have recent button press history
-    if (this.lastButtonPress && this.lastButtonPress.buttonId) {
-      const timeDiff = Date.now() - this.lastButtonPress.timestamp;
-      
-      // If the button press is within 2 seconds and the parameter matches,
-      // it's likely the same physical button
-      if (timeDiff < 2000 && this.lastButtonPress.param === param) {
-        this.log(`Detected repeated press of same button: ${this.lastButtonPress.action}`);
-        return this.lastButtonPress.action;
-      }
+  triggerButtonPress({ event, buttonData }) {
+    if (event.custom) {
+      return this.triggerCustomButton(event.button, buttonData);
     }
-    
-    // Default pattern: alternate between left and right for param 0x02
-    // This is imperfect but better than cycling through all 4 buttons
-    if (buttonId % 2 === 1) {
-      const action = 'pressed_green_left';
-      this.lastButtonPress = { 
-        buttonId, 
-        param, 
-        action, 
-        timestamp: Date.now() 
-      };
-      return this.getButtonAction(action, 'green left (pattern detected)');
-    } else {
-      const action = 'pressed_green_right';
-      this.lastButtonPress = { 
-        buttonId, 
-        param, 
-        action, 
-        timestamp: Date.now() 
-      };
-      return this.getButtonAction(action, 'green right (pattern detected)');
+
+    if (event.scene) {
+      return this.triggerSceneButton(event.scene, buttonData);
     }
-  }
 
-  /**
-   * Helper function to log and return button action
-   */
-  getButtonAction(action, description) {
-    this.log(`Remote action: ${description} -> ${action}`);
-    return action;
+    return this.triggerAction(event.triggerId, buttonData);
   }
 
   /**
-   * Parse color control command and determine action
+   * Store a received frame in the learning mode ring buffer
    */
-  parseColorControlCommand(cmdId, direction, buttonData) {
-    this.log(`Parsing color control command - cmdId: ${cmdId}, direction: 0x${direction ? direction.toString(16) : 'undefined'}`);
-    
-    const actionMap = {
-      76: () => this.parseBrightnessCommand(cmdId, direction),
-      5: () => this.parseBrightnessCommand(cmdId, direction),
-      2: () => this.parseColorLeftRightCommand(cmdId, direction),
-      3: () => this.parseColorLeftRightCommand(cmdId, direction),
-      4: () => this.parseColorUpDownCommand(cmdId, direction),
-      6: () => this.parseColorCenterCommand(cmdId),
-      undefined: () => this.parseFallbackCommand(direction),
-      0: () => this.parseFallbackCommand(direction)
-    };
-    
-    const parseFunction = actionMap[cmdId];
-    if (parseFunction) {
-      return parseFunction();
+  recordFrame(endpointId, clusterId, frame) {
+    let zclFrame = null;
+    let button = null;
+
+    try {
+      zclFrame = RemoteFrameDecoder.parseZclFrame(frame);
+      const event = zclFrame.clusterSpecific
+        ? this.frameDecoder.decode(clusterId, zclFrame.commandId, zclFrame.payload)
+        : null;
+      button = event ? event.button : null;
+    } catch (error) {
+      // Malformed frames are recorded too, they are what learning mode is for
     }
-    
-    this.log(`Unhandled color control command - cmdId: ${cmdId}, direction: 0x${direction ? direction.toString(16) : 'undefined'}`);
-    return null;
+
+    const entry = this.frameRecorder.record({
+      endpointId, clusterId, frame, zclFrame, button
+    });
+    this.setStoreValue(CONFIG.LEARNING.FRAMES_STORE_KEY, this.frameRecorder.frames).catch(this.error);
+
+    this.log(`Learning mode: recorded frame ${entry.id} on cluster ${clusterId}: ${entry.frame}`);
+    return entry;
   }
 
   /**
-   * Parse brightness up/down commands
+   * Enable or disable learning mode
    */
-  parseBrightnessCommand(cmdId, direction) {
-    if (direction === 0x00 || direction === 0x01) {
-      this.log(`Remote action: brightness down (cmd${cmdId}, direction: 0x${direction.toString(16)})`);
-      return 'pressed_brightness_down';
-    } else if (direction === 0x03 || direction === 0x02) {
-      this.log(`Remote action: brightness up (cmd${cmdId}, direction: 0x${direction.toString(16)})`);
-      return 'pressed_brightness_up';
-    }
-    return null;
+  async setLearningMode(enabled) {
+    await this.setSettings({ learning_mode: enabled });
+    this.log(`Learning mode ${enabled ? 'enabled' : 'disabled'}`);
   }
 
   /**
-   * Parse color left/right commands
+   * Frames recorded in learning mode, newest first
    */
-  parseColorLeftRightCommand(cmdId, direction) {
-    if (direction === 0x00 || direction === 0x01) {
-      this.log(`Remote action: color left (cmd${cmdId}, direction: 0x${direction.toString(16)})`);
-      return 'pressed_color_left';
-    } else if (direction === 0x03 || direction === 0x02) {
-      this.log(`Remote action: color right (cmd${cmdId}, direction: 0x${direction.toString(16)})`);
-      return 'pressed_color_right';
-    }
-    return null;
+  getLearnedFrames() {
+    return this.frameRecorder.getFrames();
   }
 
   /**
-   * Parse color up/down commands
+   * Forget the frames recorded in learning mode
    */
-  parseColorUpDownCommand(cmdId, direction) {
-    if (direction === 0x00 || direction === 0x01) {
-      this.log(`Remote action: color down (cmd${cmdId}, direction: 0x${direction.toString(16)})`);
-      return 'pressed_color_down';
-    } else if (direction === 0x03 || direction === 0x02) {
-      this.log(`Remote action: color up (cmd${cmdId}, direction: 0x${direction.toString(16)})`);
-      return 'pressed_color_up';
-    }
-    return null;
+  async clearLearnedFrames() {
+    this.frameRecorder.clear();
+    await this.setStoreValue(CONFIG.LEARNING.FRAMES_STORE_KEY, []);
   }
 
   /**
-   * Parse color center command
+   * Buttons labelled by the user in learning mode
    */
-  parseColorCenterCommand(cmdId) {
-    this.log(`Remote action: color center (cmd${cmdId})`);
-    return 'pressed_color_center';
+  getCustomButtons() {
+    return this.getStoreValue(CONFIG.LEARNING.CUSTOM_BUTTONS_STORE_KEY) || [];
   }
 
   /**
-   * Parse fallback command when cmdId is unknown
+   * Label a recorded frame as a custom button
+   * Labelling the same command again renames its button
    */
-  parseFallbackCommand(direction) {
-    if (direction === 0x00 || direction === 0x01) {
-      this.log(`Remote action: brightness down (unknown cmd, direction: 0x${direction ? direction.toString(16) : '00'})`);
-      return 'pressed_brightness_down';
-    } else if (direction === 0x03 || direction === 0x02) {
-      this.log(`Remote action: brightness up (unknown cmd, direction: 0x${direction ? direction.toString(16) : '03'})`);
-      return 'pressed_brightness_up';
+  async labelFrame(frameId, name) {
+    const frame = this.frameRecorder.getFrame(frameId);
+    const label = String(name || '').trim().substring(0, CONFIG.LEARNING.MAX_NAME_LENGTH);
+
+    if (!frame) {
+      throw new DeviceError(CONFIG.ERROR_CODES.INVALID_VALUE, `Recorded frame ${frameId} not found`, this.getData().id);
+    }
+    if (!frame.clusterSpecific) {
+      throw new DeviceError(CONFIG.ERROR_CODES.INVALID_VALUE, 'Only cluster commands can be labelled as buttons', this.getData().id, { frameId });
+    }
+    if (!label) {
+      throw new DeviceError(CONFIG.ERROR_CODES.INVALID_VALUE, 'A button name is required', this.getData().id);
     }
-    return null;
-  }
 
-  /**
-   * Setup cluster bindings
-   */
-  async setupClusterBindings(zclNode) {
-    this.log('Setting up cluster bindings...');
+    // Built-in and mapped buttons are decoded before custom ones, a label on their frame would never fire
+    const decoded = this.frameDecoder.decode(frame.clusterId, frame.commandId, Buffer.from(frame.payload, 'hex'));
+    if (decoded && !decoded.custom) {
+      const known = decoded.button ? `the ${decoded.button} button` : `a button ${decoded.type}`;
+      throw new DeviceError(CONFIG.ERROR_CODES.INVALID_VALUE, `This frame is already decoded as ${known}`, this.getData().id, { frameId });
+    }
 
-    try {
-      const endpoint = this.endpoint;
+    const button = {
+      id: `custom_${frame.clusterId}_${frame.commandId}_${frame.payload}`,
+      name: label,
+      clusterId: frame.clusterId,
+      commandId: frame.commandId,
+      payload: frame.payload
+    };
 
-      // Register OnOff bound cluster
-      await this.setupOnOffCluster(endpoint);
-      
-      // Register LevelControl bound cluster
-      await this.setupLevelControlCluster(endpoint);
-      
-      // Register Scenes bound cluster
-      await this.setupScenesCluster(endpoint);
-      
-      // Register Color Control bound cluster
-      await this.setupColorControlCluster(endpoint);
-      
-      // Register manufacturer-specific cluster
-      await this.setupManufacturerCluster(endpoint);
+    const customButtons = this.getCustomButtons().filter(existing => existing.id !== button.id);
+    customButtons.push(button);
+    await this.setCustomButtons(customButtons);
 
-      this.log('All cluster bindings configured successfully');
-    } catch (error) {
-      this.error('Failed to setup cluster bindings:', error);
-      throw error;
-    }
+    this.log(`Learning mode: labelled frame ${frameId} as "${label}"`);
+    return button;
   }
 
   /**
-   * Setup OnOff cluster
+   * Save custom buttons and use them for decoding
    */
-  async setupOnOffCluster(endpoint) {
-    try {
-      endpoint.bind(CLUSTER.ON_OFF.NAME, new OnOffBoundCluster({
-        onSetOn: () => {
-          this.log('Remote action: setOn');
-          this.triggerAction('pressed_on');
-        },
-        onSetOff: () => {
-          this.log('Remote action: setOff');
-          this.triggerAction('pressed_off');
-        }
-      }));
-    } catch (error) {
-      this.error('Failed to setup OnOff cluster:', error);
-    }
+  async setCustomButtons(customButtons) {
+    await this.setStoreValue(CONFIG.LEARNING.CUSTOM_BUTTONS_STORE_KEY, customButtons);
+    this.frameDecoder.setCustomButtons(customButtons);
   }
 
   /**
-   * Setup LevelControl cluster
+   * Parse the mapping table from the device settings
+   * An invalid table is ignored at startup, onSettings refuses to save one
    */
-  async setupLevelControlCluster(endpoint) {
+  loadButtonMappings() {
     try {
-      endpoint.bind(CLUSTER.LEVEL_CONTROL.NAME, new LevelControlBoundCluster({
-        onStep: (payload) => {
-          this.log('Remote action: step', payload);
-          const isUp = payload.stepMode === 0;
-          const action = isUp ? 'pressed_brightness_up' : 'pressed_brightness_down';
-          this.log(`Remote action: ${isUp ? 'brightness up' : 'brightness down'}`);
-          this.triggerAction(action, payload);
-        }
-      }));
+      return RemoteFrameDecoder.parseMappings(this.getSetting('button_mappings'));
     } catch (error) {
-      this.error('Failed to setup LevelControl cluster:', error);
+      this.error('Ignoring invalid button mappings:', error.message);
+      return [];
     }
   }
 
   /**
-   * Setup Scenes cluster
+   * Export the mapping table as JSON, optionally followed by the built-in defaults
    */
-  async setupScenesCluster(endpoint) {
-    try {
-      endpoint.bind(CLUSTER.SCENES.NAME, new ScenesBoundCluster({
-        onRecallScene: (payload) => {
-          const sceneId = payload.sceneId;
-          this.log(`Remote action: scene ${sceneId}`);
-          this.triggerSceneButton(sceneId, payload);
-        }
-      }));
-    } catch (error) {
-      this.error('Failed to setup Scenes cluster:', error);
-    }
+  exportButtonMappings(includeDefaults = false) {
+    const entries = includeDefaults
+      ? [...this.frameDecoder.mappings, ...this.frameDecoder.frames]
+      : this.frameDecoder.mappings;
+    return RemoteFrameDecoder.formatMappings(entries);
   }
 
   /**
-   * Setup Color Control cluster
+   * Replace the mapping table with the given JSON
    */
-  async setupColorControlCluster(endpoint) {
-    try {
-      endpoint.bind(CLUSTER.COLOR_CONTROL.NAME, new ColorControlBoundCluster({
-        onMoveToHue: (payload) => {
-          this.log('Remote action: color control - move to hue', payload);
-        },
-        onMoveToSaturation: (payload) => {
-          this.log('Remote action: color control - move to saturation', payload);
-        }
-      }));
-    } catch (error) {
-      this.error('Failed to setup ColorControl cluster:', error);
-    }
+  async importButtonMappings(json) {
+    const mappings = RemoteFrameDecoder.parseMappings(json);
+    await this.setSettings({ button_mappings: RemoteFrameDecoder.formatMappings(mappings) });
+    this.frameDecoder.setMappings(mappings);
+
+    this.log(`Imported ${mappings.length} button mappings`);
+    return mappings.length;
   }
 
   /**
-   * Setup manufacturer-specific cluster
+   * Trigger the generic card of a custom button
    */
-  async setupManufacturerCluster() {
-    try {
-      // Check if manufacturer cluster is available before binding
-      if (this.zclNode.endpoints[1].clusters.adeoManufacturerSpecific) {
-        await this.zclNode.endpoints[1].bind('adeoManufacturerSpecific');
-        this.log('Manufacturer cluster bound successfully');
-      } else {
-        this.log('Manufacturer cluster not available, skipping binding');
-      }
-    } catch (error) {
-      this.error('Failed to setup manufacturer cluster:', error.message);
-      // Continue initialization even if manufacturer cluster fails
+  triggerCustomButton(buttonId, buttonData = {}) {
+    const button = this.getCustomButtons().find(candidate => candidate.id === buttonId);
+    if (!button) {
+      return false;
     }
+
+    this.deviceState.lastButtonPress = {
+      type: 'custom',
+      button: buttonId,
+      timestamp: new Date(),
+      data: buttonData
+    };
+    this.deviceState.buttonsPressed++;
+
+    this.homey.flow.getDeviceTriggerCard('custom_button_pressed')
+      .trigger(this, { button: button.name, payload: buttonData.payload || '' }, { button: buttonId })
+      .catch(this.error);
+
+    this.log(`Triggered custom button: ${button.name}`);
+    return true;
   }
 
   /**
@@ -673,6 +431,7 @@ class AdeoRemote extends ZigBeeDevice {
       // Update device state
       this.deviceState.lastButtonPress = {
         type: 'scene',
+        button: `scene_${sceneId}`,
         sceneId,
         timestamp: new Date(),
         data: buttonData
@@ -681,7 +440,7 @@ class AdeoRemote extends ZigBeeDevice {
 
       // Use app's centralized trigger method
       if (this.homey.app.triggerSceneButton) {
-        return this.homey.app.triggerSceneButton(this, sceneId, buttonData);
+        return this.homey.app.triggerSceneButton(this, sceneId);
       }
 
       // Fallback to direct trigger
@@ -701,16 +460,17 @@ class AdeoRemote extends ZigBeeDevice {
       // Update device state
       this.deviceState.lastButtonPress = {
         type: 'action',
+        button: actionId.replace(/^pressed_/, ''),
         actionId,
         timestamp: new Date(),
         data: actionData
       };
       this.deviceState.buttonsPressed++;
 
-      // Trigger the flow card
+      // Trigger the flow card, the pressed_* cards have no tokens
       const triggerCard = this.homey.flow.getDeviceTriggerCard(actionId);
       if (triggerCard) {
-        triggerCard.trigger(this, actionData);
+        triggerCard.trigger(this, {}).catch(this.error);
         this.log(`Triggered action: ${actionId}`);
         return true;
       } else {
@@ -723,6 +483,94 @@ class AdeoRemote extends ZigBeeDevice {
     }
   }
 
+  /**
+   * Trigger the flow card matching a button gesture
+   */
+  triggerGesture({
+    gesture, button, duration, repeat, clicks, data
+  }) {
+    try {
+      // Single presses keep driving the original pressed_* cards
+      if (gesture === 'short_press' && data.event) {
+        this.triggerButtonPress(data);
+      }
+
+      // Long presses and click sequences count as a press of the button too
+      if (gesture === 'long_press_start' || gesture === 'multi_click') {
+        this.deviceState.lastButtonPress = {
+          type: 'gesture',
+          button,
+          gesture,
+          timestamp: new Date(),
+          data: { clicks }
+        };
+        this.deviceState.buttonsPressed++;
+      }
+
+      // Presses, click sequences and long press starts all fire the generic button card
+      if (['short_press', 'multi_click', 'long_press_start'].includes(gesture)) {
+        const custom = this.getCustomButtons().find(candidate => candidate.id === button);
+        this.homey.app.triggerButtonPress(this, button, {
+          name: custom ? custom.name : button,
+          gesture,
+          payload: (data.buttonData && data.buttonData.payload) || ''
+        });
+      }
+
+      const tokens = { button };
+      if (gesture === 'hold_repeat' || gesture === 'long_press_release') {
+        tokens.duration = duration / 1000;
+        tokens.repeat = repeat;
+      } else if (gesture === 'multi_click') {
+        tokens.clicks = clicks;
+      }
+
+      this.homey.flow.getDeviceTriggerCard(`button_${gesture}`)
+        .trigger(this, tokens, { button })
+        .catch(this.error);
+
+      this.log(`Triggered gesture: ${gesture} (${button})`);
+    } catch (error) {
+      this.error(`Error triggering gesture ${gesture}:`, error);
+    }
+  }
+
+  /**
+   * Handle settings changes
+   */
+  async onSettings({ newSettings, changedKeys }) {
+    const gestureKeys = ['long_press_threshold', 'hold_repeat_interval', 'max_hold_duration', 'multi_click_enabled', 'click_window'];
+
+    if (changedKeys.some(key => gestureKeys.includes(key))) {
+      this.gestureEngine.setThresholds(this.getGestureThresholds(newSettings));
+      this.log('Gesture thresholds updated');
+    }
+
+    if (changedKeys.includes('button_mappings')) {
+      // Throwing refuses the new settings, so an invalid table is never saved
+      this.frameDecoder.setMappings(RemoteFrameDecoder.parseMappings(newSettings.button_mappings));
+      this.log('Button mappings updated');
+    }
+
+    if (changedKeys.includes('learning_mode')) {
+      this.log(`Learning mode ${newSettings.learning_mode ? 'enabled' : 'disabled'}`);
+    }
+  }
+
+  /**
+   * Map device settings to gesture engine thresholds
+   */
+  getGestureThresholds(settings) {
+    return {
+      longPressThreshold: settings.long_press_threshold,
+      holdRepeatInterval: settings.hold_repeat_interval,
+      // The setting is in seconds, 0 falls back to the default limit
+      maxHoldDuration: (settings.max_hold_duration || 0) * 1000,
+      // Without multi-click, presses are reported immediately
+      clickWindow: settings.multi_click_enabled ? (settings.click_window || CONFIG.GESTURES.CLICK_WINDOW) : 0
+    };
+  }
+
   /**
    * Get device state information
    */
@@ -751,9 +599,17 @@ class AdeoRemote extends ZigBeeDevice {
         node.handleFrame = this.originalHandleFrame;
       }
 
+      // Stop pending gesture timers
+      if (this.gestureEngine) {
+        this.gestureEngine.destroy();
+      }
+
       // Clean up device state
       this.deviceState = null;
 
+      // Notify app of device deletion
+      this.homey.app.emit('deviceDeleted', this);
+
       this.log('Device cleanup completed');
     } catch (error) {
       this.error('Error during device cleanup:', error);
@@ -1,5 +1,25 @@
 const { ZigBeeLightDevice } = require('homey-zigbeedriver');
-const { debug } = require('zigbee-clusters');
+const { debug, Cluster, CLUSTER } = require('zigbee-clusters');
+const { CONFIG, DeviceError, ZigBeeError } = require('../../lib/Config');
+const ColorUtils = require('../../lib/ColorUtils');
+const LightPresets = require('../../lib/LightPresets');
+const LightOnOffCluster = require('../../lib/LightOnOffCluster');
+const LightLevelControlCluster = require('../../lib/LightLevelControlCluster');
+const LightColorControlCluster = require('../../lib/LightColorControlCluster');
+const LightScenesCluster = require('../../lib/LightScenesCluster');
+
+// Register the light clusters so the start-up attributes can be read and written
+Cluster.addCluster(LightOnOffCluster);
+Cluster.addCluster(LightLevelControlCluster);
+Cluster.addCluster(LightColorControlCluster);
+Cluster.addCluster(LightScenesCluster);
+
+// Power-on settings and the start-up attributes they are written to
+const STARTUP_SETTINGS = {
+  startup_onoff: { cluster: CLUSTER.ON_OFF, attribute: 'startUpOnOff' },
+  startup_level: { cluster: CLUSTER.LEVEL_CONTROL, attribute: 'startUpCurrentLevel' },
+  startup_temperature: { cluster: CLUSTER.COLOR_CONTROL, attribute: 'startUpColorTemperatureMireds' }
+};
 
 class AdeoLight extends ZigBeeLightDevice {
 
@@ -24,6 +44,18 @@ class AdeoLight extends ZigBeeLightDevice {
       // Call parent initialization
       await super.onNodeInit({ zclNode });
 
+      // Report colour changes made outside Homey
+      await this.setupColorReporting();
+
+      // Let the health monitor know about every frame from the bulb
+      this.watchIncomingFrames();
+
+      // Check which power-on settings the firmware supports, without delaying init
+      this.detectStartUpSupport().catch(this.error);
+
+      // Check whether the bulb runs Identify effects, before they are offered in flows
+      this.detectEffectSupport().catch(this.error);
+
       this.deviceState.isInitialized = true;
       this.log('ADEO Light device initialized successfully');
 
@@ -48,13 +80,18 @@ class AdeoLight extends ZigBeeLightDevice {
     this.log('Setting up device capabilities...');
 
     try {
-      // Enable capabilities for the light device
-      await this.enableCapability('onoff');
-      await this.enableCapability('dim');
+      // onoff and dim are handled by ZigBeeLightDevice through changeOnOff and changeDimLevel
+      await this.toggleCapability('onoff', true);
+      await this.toggleCapability('dim', true);
+
+      // Maintenance button making the bulb identify itself
+      await this.toggleCapability('button.identify', this.getClusterEndpoint(CLUSTER.IDENTIFY) !== null);
+      if (this.hasCapability('button.identify')) {
+        this.registerCapabilityListener('button.identify', async () => this.identify());
+      }
 
-      // Register capability listeners with error handling
-      this.registerCapabilityListener('onoff', this.onCapabilityOnOff.bind(this));
-      this.registerCapabilityListener('dim', this.onCapabilityDim.bind(this));
+      // Colour capabilities depend on what the bulb's ColorControl cluster supports
+      await this.setupColorCapabilities();
 
       this.log('Device capabilities configured successfully');
     } catch (error) {
@@ -63,18 +100,277 @@ class AdeoLight extends ZigBeeLightDevice {
     }
   }
 
+  /**
+   * Enable the colour capabilities supported by the bulb
+   */
+  async setupColorCapabilities() {
+    let supportsTemperature = false;
+    let supportsColor = false;
+
+    if (this.getClusterEndpoint(CLUSTER.COLOR_CONTROL) !== null) {
+      // Read colour modes and mireds range once, on the first init after pairing
+      if (!this.getStoreValue('colorClusterConfigured')) {
+        await this.readColorControlAttributes();
+      }
+
+      const colorCapabilities = this.getStoreValue('colorCapabilities') || {};
+      supportsTemperature = Boolean(colorCapabilities.colorTemperature);
+      supportsColor = Boolean(colorCapabilities.hueAndSaturation || colorCapabilities.xy);
+    }
+
+    this.log('Colour support:', { supportsTemperature, supportsColor, range: this.colorTemperatureRange });
+
+    await this.toggleCapability('light_temperature', supportsTemperature);
+    await this.toggleCapability('light_hue', supportsColor);
+    await this.toggleCapability('light_saturation', supportsColor);
+    await this.toggleCapability('light_mode', supportsTemperature && supportsColor);
+  }
+
+  /**
+   * Add or remove a capability
+   */
+  async toggleCapability(capability, enabled) {
+    if (enabled && !this.hasCapability(capability)) {
+      await this.addCapability(capability);
+      this.log(`Added ${capability} capability`);
+    } else if (!enabled && this.hasCapability(capability)) {
+      await this.removeCapability(capability);
+      this.log(`Removed ${capability} capability`);
+    }
+  }
+
+  /**
+   * Colour temperature range in mireds, with defaults for bulbs reporting an invalid range
+   */
+  get colorTemperatureRange() {
+    return ColorUtils.sanitizeMiredsRange({
+      min: this.getStoreValue('colorTempMin'),
+      max: this.getStoreValue('colorTempMax')
+    });
+  }
+
+  /**
+   * Keep colour capabilities in sync with the bulb
+   */
+  async setupColorReporting() {
+    if (!this.hasCapability('light_temperature') && !this.hasCapability('light_hue')) {
+      return;
+    }
+
+    const cluster = this.colorControlCluster;
+    cluster.on('attr.colorTemperatureMireds', value => this.onColorAttribute('colorTemperatureMireds', value));
+    cluster.on('attr.currentHue', value => this.onColorAttribute('currentHue', value));
+    cluster.on('attr.currentSaturation', value => this.onColorAttribute('currentSaturation', value));
+    cluster.on('attr.colorMode', value => this.onColorAttribute('colorMode', value));
+
+    try {
+      const attributes = ['colorMode'];
+      if (this.hasCapability('light_temperature')) {
+        attributes.push('colorTemperatureMireds');
+      }
+      if (this.hasCapability('light_hue')) {
+        attributes.push('currentHue', 'currentSaturation');
+      }
+
+      const values = await cluster.readAttributes(attributes);
+      Object.entries(values).forEach(([attribute, value]) => this.onColorAttribute(attribute, value));
+    } catch (error) {
+      this.error('Could not read colour state:', error);
+    }
+  }
+
+  /**
+   * Map a ColorControl attribute value to its capability
+   */
+  onColorAttribute(attribute, value) {
+    const mappings = {
+      colorTemperatureMireds: ['light_temperature', () => ColorUtils.miredsToTemperature(value, this.colorTemperatureRange)],
+      currentHue: ['light_hue', () => ColorUtils.zclToHue(value)],
+      currentSaturation: ['light_saturation', () => ColorUtils.zclToSaturation(value)],
+      colorMode: ['light_mode', () => ColorUtils.colorModeToLightMode(value)]
+    };
+
+    const mapping = mappings[attribute];
+    if (!mapping || !this.hasCapability(mapping[0]) || value === undefined) {
+      return;
+    }
+
+    const capabilityValue = mapping[1]();
+    if (capabilityValue !== null) {
+      this.setCapabilityValue(mapping[0], capabilityValue).catch(this.error);
+    }
+  }
+
+  /**
+   * Emit frameReceived for every frame the node receives
+   */
+  watchIncomingFrames() {
+    const { node } = this;
+    const handleFrame = node.handleFrame;
+    node.handleFrame = (...args) => {
+      this.emit('frameReceived');
+      return handleFrame.apply(node, args);
+    };
+  }
+
+  /**
+   * Read the on/off state to check the bulb still responds, used by the health monitor
+   */
+  async ping() {
+    await this.onOffCluster.readAttributes(['onOff']);
+  }
+
+  /**
+   * Get the cluster holding the start-up attribute of a power-on setting
+   */
+  getStartUpCluster(key) {
+    const { cluster } = STARTUP_SETTINGS[key];
+    const endpointId = this.getClusterEndpoint(cluster);
+    if (endpointId === null) {
+      return null;
+    }
+    return this.zclNode.endpoints[endpointId].clusters[cluster.NAME];
+  }
+
+  /**
+   * Read the start-up attributes to find out which power-on settings the firmware supports
+   * The current values are copied to the settings so they reflect the bulb
+   */
+  async detectStartUpSupport() {
+    const support = {};
+    const settings = {};
+
+    for (const [key, { attribute }] of Object.entries(STARTUP_SETTINGS)) {
+      const cluster = this.getStartUpCluster(key);
+      support[key] = false;
+
+      if (!cluster || (key === 'startup_temperature' && !this.hasCapability('light_temperature'))) {
+        continue;
+      }
+
+      try {
+        const values = await cluster.readAttributes([attribute]);
+        if (values[attribute] !== undefined) {
+          support[key] = true;
+          const setting = this.startUpValueToSetting(key, values[attribute]);
+          if (setting !== null) {
+            settings[key] = setting;
+          }
+        }
+      } catch (error) {
+        this.error(`Could not read ${attribute}:`, error);
+      }
+    }
+
+    await this.setStoreValue('startUpSupport', support);
+    await this.setSettings({ ...settings, startup_support: this.describeStartUpSupport(support) });
+
+    const unsupported = Object.keys(support).filter(key => !support[key]);
+    if (unsupported.length > 0) {
+      this.log('Firmware does not support power-on settings:', unsupported);
+    }
+    return support;
+  }
+
+  /**
+   * Human readable summary of the supported power-on settings
+   */
+  describeStartUpSupport(support) {
+    const labels = {
+      startup_onoff: 'on/off',
+      startup_level: 'brightness',
+      startup_temperature: 'colour temperature'
+    };
+
+    const supported = Object.keys(labels).filter(key => support[key]).map(key => labels[key]);
+    if (supported.length === 0) {
+      return 'Not supported by this firmware';
+    }
+    return `Supported: ${supported.join(', ')}`;
+  }
+
+  /**
+   * Convert a power-on setting to its start-up attribute value
+   */
+  startUpSettingToValue(key, value) {
+    if (key === 'startup_level') {
+      // 0% restores the previous brightness
+      return value === 0 ? CONFIG.LIGHT.STARTUP_PREVIOUS_LEVEL : Math.max(1, Math.round((value / 100) * 254));
+    }
+    if (key === 'startup_temperature') {
+      // 0K restores the previous colour temperature
+      return value === 0 ? CONFIG.LIGHT.STARTUP_PREVIOUS_MIREDS : ColorUtils.kelvinToMireds(value, this.colorTemperatureRange);
+    }
+    return value;
+  }
+
+  /**
+   * Convert a start-up attribute value to its power-on setting
+   */
+  startUpValueToSetting(key, value) {
+    if (key === 'startup_level') {
+      // 0% is taken by "restore previous", the minimum level and the lowest levels show as 1%
+      return value === CONFIG.LIGHT.STARTUP_PREVIOUS_LEVEL ? 0 : Math.max(1, Math.round((value / 254) * 100));
+    }
+    if (key === 'startup_temperature') {
+      return value === CONFIG.LIGHT.STARTUP_PREVIOUS_MIREDS || value === 0 ? 0 : ColorUtils.miredsToKelvin(value);
+    }
+    // Vendor specific startUpOnOff values have no matching setting
+    return typeof value === 'string' ? value : null;
+  }
+
+  /**
+   * Write a power-on setting to the bulb
+   */
+  async writeStartUpSetting(key, value) {
+    const { cluster: { ID: clusterId }, attribute } = STARTUP_SETTINGS[key];
+    const support = this.getStoreValue('startUpSupport') || {};
+    const cluster = this.getStartUpCluster(key);
+
+    if (!cluster || support[key] === false) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.ATTRIBUTE_NOT_SUPPORTED, `This bulb's firmware does not support ${attribute}`, clusterId, null);
+    }
+
+    const { attributes = [] } = await cluster.writeAttributes({ [attribute]: this.startUpSettingToValue(key, value) });
+    const failed = attributes.find(result => result.status !== 'SUCCESS');
+    if (failed) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.ATTRIBUTE_NOT_SUPPORTED, `This bulb's firmware rejected ${attribute} (${failed.status})`, clusterId, null);
+    }
+
+    this.log(`Power-on setting ${key} written:`, value);
+  }
+
+  /**
+   * Handle settings changes
+   */
+  async onSettings({ newSettings, changedKeys }) {
+    // Throwing refuses invalid presets before anything is written to the bulb
+    if (changedKeys.includes('presets')) {
+      LightPresets.parse(newSettings.presets);
+    }
+
+    for (const key of changedKeys) {
+      if (STARTUP_SETTINGS[key]) {
+        await this.writeStartUpSetting(key, newSettings[key]);
+      }
+    }
+
+    if (changedKeys.includes('presets')) {
+      await this.unsetStoreValue(CONFIG.LIGHT.PRESET_INDEX_STORE_KEY);
+    }
+  }
+
   /**
    * Handle onoff capability changes
    */
-  async onCapabilityOnOff(value) {
+  async changeOnOff(value) {
     try {
       this.log(`OnOff capability changed to: ${value}`);
-      
+
       // Update device state
       this.updateDeviceState('onoff', value);
 
-      // Call parent handler
-      return await super.onCapabilityOnOff(value);
+      return await super.changeOnOff(value);
     } catch (error) {
       this.error('Error handling onoff capability:', error);
       throw error;
@@ -84,21 +380,312 @@ class AdeoLight extends ZigBeeLightDevice {
   /**
    * Handle dim capability changes
    */
-  async onCapabilityDim(value) {
+  async changeDimLevel(value, opts = {}) {
     try {
       this.log(`Dim capability changed to: ${value}`);
-      
+
       // Update device state
       this.updateDeviceState('dim', value);
 
-      // Call parent handler
-      return await super.onCapabilityDim(value);
+      return await super.changeDimLevel(value, this.getTransitionOptions(opts));
     } catch (error) {
       this.error('Error handling dim capability:', error);
       throw error;
     }
   }
 
+  /**
+   * Handle light_temperature capability changes
+   */
+  async changeColorTemperature(value, opts = {}) {
+    this.log(`Colour temperature changed to: ${value}`);
+    this.updateDeviceState('light_temperature', value);
+    return super.changeColorTemperature(value, this.getTransitionOptions(opts));
+  }
+
+  /**
+   * Handle light_hue and light_saturation capability changes
+   */
+  async changeColor(color, opts = {}) {
+    this.log('Colour changed to:', color);
+    if (typeof color.hue === 'number') {
+      this.updateDeviceState('light_hue', color.hue);
+    } else if (typeof color.saturation === 'number') {
+      this.updateDeviceState('light_saturation', color.saturation);
+    }
+    return super.changeColor(color, this.getTransitionOptions(opts));
+  }
+
+  /**
+   * Resolve the transition duration (in milliseconds) of a light command
+   * An explicit duration wins over the device's default transition setting
+   */
+  getTransitionOptions(opts = {}) {
+    let { duration } = opts;
+    if (typeof duration !== 'number') {
+      const defaultTransition = this.getSetting('transition_time');
+      if (!defaultTransition) {
+        // No default configured, keep the bulb's own transition behaviour
+        return opts;
+      }
+      duration = defaultTransition * 1000;
+    }
+
+    // ZCL transition times are sent in tenths of a second
+    const maxDuration = CONFIG.LIGHT.MAX_TRANSITION_TIME * 1000;
+    return { ...opts, duration: Math.round(Math.min(Math.max(duration, 0), maxDuration) / 100) * 100 };
+  }
+
+  /**
+   * Move dim or light_temperature to a value over the given number of seconds
+   */
+  async transitionTo(capability, value, seconds) {
+    const opts = { duration: seconds * 1000 };
+
+    if (capability === 'dim') {
+      await this.changeDimLevel(value, opts);
+    } else if (capability === 'light_temperature' && this.hasCapability('light_temperature')) {
+      await this.changeColorTemperature(value, opts);
+    } else {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.INVALID_COMMAND, `Unsupported transition capability ${capability}`, null, null);
+    }
+
+    await this.setCapabilityValue(capability, value);
+  }
+
+  /**
+   * ZCL transition time (tenths of a second) of a step command
+   */
+  getStepTransitionTime(opts = {}) {
+    const { duration = 0 } = this.getTransitionOptions(opts);
+    return Math.round(duration / 100);
+  }
+
+  /**
+   * Toggle the bulb with the OnOff toggle command
+   */
+  async toggle() {
+    await this.onOffCluster.toggle();
+
+    const value = !this.getCapabilityValue('onoff');
+    this.updateDeviceState('onoff', value);
+    await this.setCapabilityValue('onoff', value);
+  }
+
+  /**
+   * Step the brightness up or down by a percentage
+   * Stepping up turns the bulb on, stepping down stops at the minimum level
+   */
+  async stepBrightness(direction, percent, opts = {}) {
+    const stepSize = Math.round(ColorUtils.clamp(percent / 100, 0, 1) * 254);
+    if (stepSize === 0) {
+      return;
+    }
+
+    const command = direction === 'up' ? 'stepWithOnOff' : 'step';
+    await this.levelControlCluster[command]({
+      mode: direction,
+      stepSize,
+      transitionTime: this.getStepTransitionTime(opts)
+    });
+
+    // The bulb steps from its own level, which it keeps while off, the capability follows without reading it back
+    const current = this.getCapabilityValue('dim') || 0;
+    const delta = direction === 'up' ? percent / 100 : -percent / 100;
+    const value = ColorUtils.clamp(Math.round((current + delta) * 100) / 100, 0.01, 1);
+
+    this.updateDeviceState('dim', value);
+    await this.setCapabilityValue('dim', value);
+    if (direction === 'up') {
+      await this.setCapabilityValue('onoff', true);
+    }
+  }
+
+  /**
+   * Step the colour temperature warmer or cooler by a percentage of the bulb's range
+   */
+  async stepColorTemperature(direction, percent, opts = {}) {
+    if (!this.hasCapability('light_temperature')) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.CLUSTER_NOT_SUPPORTED, 'Colour temperature not supported', CLUSTER.COLOR_CONTROL.ID, null);
+    }
+
+    const { min, max } = this.colorTemperatureRange;
+    const stepSize = Math.round(ColorUtils.clamp(percent / 100, 0, 1) * (max - min));
+    if (stepSize === 0) {
+      return;
+    }
+
+    // Higher mireds are warmer
+    await this.colorControlCluster.stepColorTemperature({
+      stepMode: direction === 'warmer' ? 'up' : 'down',
+      stepSize,
+      transitionTime: this.getStepTransitionTime(opts),
+      colorTemperatureMinimumMireds: min,
+      colorTemperatureMaximumMireds: max
+    });
+
+    const current = this.getCapabilityValue('light_temperature') || 0;
+    const delta = direction === 'warmer' ? percent / 100 : -percent / 100;
+    const value = ColorUtils.clamp(Math.round((current + delta) * 100) / 100, 0, 1);
+
+    this.updateDeviceState('light_temperature', value);
+    await this.setCapabilityValue('light_temperature', value);
+  }
+
+  /**
+   * Identify cluster of the bulb
+   */
+  get identifyCluster() {
+    const endpointId = this.getClusterEndpoint(CLUSTER.IDENTIFY);
+    if (endpointId === null) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.CLUSTER_NOT_SUPPORTED, 'Identify cluster not supported', CLUSTER.IDENTIFY.ID, null);
+    }
+    return this.zclNode.endpoints[endpointId].clusters.identify;
+  }
+
+  /**
+   * Make the bulb identify itself for a number of seconds, 0 stops identifying
+   */
+  async identify(seconds = CONFIG.LIGHT.IDENTIFY_TIME) {
+    await this.identifyCluster.identify({ identifyTime: Math.round(seconds) });
+    this.log(`Identifying for ${seconds}s`);
+  }
+
+  /**
+   * Ask the bulb which Identify commands it accepts, once after pairing
+   * Bulbs without command discovery keep the effects until they reject one
+   */
+  async detectEffectSupport() {
+    if (this.getClusterEndpoint(CLUSTER.IDENTIFY) === null || typeof this.getStoreValue(CONFIG.LIGHT.EFFECT_SUPPORT_STORE_KEY) === 'boolean') {
+      return;
+    }
+
+    try {
+      const commands = await this.identifyCluster.discoverCommandsReceived();
+      await this.setStoreValue(CONFIG.LIGHT.EFFECT_SUPPORT_STORE_KEY, commands.includes('triggerEffect'));
+      this.log('Identify commands:', commands);
+    } catch (error) {
+      this.log('Could not discover Identify commands:', error.message);
+    }
+  }
+
+  /**
+   * Effects the bulb supports, for the effect autocomplete
+   * triggerEffect is optional, bulbs that do not list or rejected it get no effects
+   */
+  getSupportedEffects() {
+    if (this.getClusterEndpoint(CLUSTER.IDENTIFY) === null || this.getStoreValue(CONFIG.LIGHT.EFFECT_SUPPORT_STORE_KEY) === false) {
+      return [];
+    }
+    return Object.entries(CONFIG.LIGHT.EFFECTS).map(([id, name]) => ({ id, name }));
+  }
+
+  /**
+   * Run an Identify cluster effect
+   */
+  async triggerEffect(effect) {
+    if (!CONFIG.LIGHT.EFFECTS[effect]) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.INVALID_VALUE, `Unknown effect ${effect}`, CLUSTER.IDENTIFY.ID, null);
+    }
+
+    try {
+      await this.identifyCluster.triggerEffect({ effectIdentifier: effect, effectVariant: 0 });
+    } catch (error) {
+      if (error.message !== 'UNSUP_CLUSTER_COMMAND') {
+        throw error;
+      }
+      await this.setStoreValue(CONFIG.LIGHT.EFFECT_SUPPORT_STORE_KEY, false);
+      throw new ZigBeeError(CONFIG.ERROR_CODES.COMMAND_NOT_SUPPORTED, 'This bulb does not support effects', CLUSTER.IDENTIFY.ID, null);
+    }
+
+    this.log(`Effect triggered: ${effect}`);
+  }
+
+  /**
+   * Whether the bulb supports the ColorControl colour loop
+   */
+  supportsColorLoop() {
+    const colorCapabilities = this.getStoreValue('colorCapabilities') || {};
+    return Boolean(colorCapabilities.colorLoop) && this.hasCapability('light_hue');
+  }
+
+  /**
+   * Start a colour loop through every hue, taking the given number of seconds per loop
+   */
+  async startColorLoop(direction = 'up', seconds = CONFIG.LIGHT.DEFAULT_COLOR_LOOP_TIME) {
+    await this.setColorLoop({
+      updateFlags: ['action', 'direction', 'time'],
+      action: 'activateFromCurrent',
+      direction: direction === 'up' ? 'increment' : 'decrement',
+      time: Math.max(1, Math.round(seconds))
+    });
+    this.log(`Colour loop started (${direction}, ${seconds}s)`);
+  }
+
+  /**
+   * Stop the colour loop, the bulb returns to the hue it had before
+   */
+  async stopColorLoop() {
+    await this.setColorLoop({ updateFlags: ['action'], action: 'deactivate' });
+    this.log('Colour loop stopped');
+  }
+
+  /**
+   * Send a colorLoopSet command
+   */
+  async setColorLoop(args) {
+    if (!this.supportsColorLoop()) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.COMMAND_NOT_SUPPORTED, 'This bulb does not support colour loops', CLUSTER.COLOR_CONTROL.ID, null);
+    }
+
+    await this.colorControlCluster.colorLoopSet({
+      direction: 'decrement',
+      time: 0,
+      startHue: 0,
+      ...args
+    });
+  }
+
+  /**
+   * Get the presets saved in the settings
+   */
+  getPresets() {
+    return LightPresets.parse(this.getSetting('presets'));
+  }
+
+  /**
+   * Apply the next saved preset, starting over after the last one
+   */
+  async cyclePresets() {
+    const presets = this.getPresets();
+    if (presets.length === 0) {
+      throw new DeviceError(CONFIG.ERROR_CODES.INVALID_VALUE, 'No presets saved in the device settings', this.getData().id);
+    }
+
+    const previous = this.getStoreValue(CONFIG.LIGHT.PRESET_INDEX_STORE_KEY);
+    const index = typeof previous === 'number' ? (previous + 1) % presets.length : 0;
+    await this.setStoreValue(CONFIG.LIGHT.PRESET_INDEX_STORE_KEY, index);
+
+    await this.applyPreset(presets[index]);
+    this.log(`Applied preset ${index + 1} of ${presets.length}`);
+    return index;
+  }
+
+  /**
+   * Move to the brightness and colour temperature of a preset
+   */
+  async applyPreset({ dim, temperature }) {
+    if (temperature && this.hasCapability('light_temperature')) {
+      const range = this.colorTemperatureRange;
+      const value = ColorUtils.miredsToTemperature(ColorUtils.kelvinToMireds(temperature, range), range);
+      await this.changeColorTemperature(value);
+      await this.setCapabilityValue('light_temperature', value);
+    }
+
+    await this.changeDimLevel(dim);
+    await this.setCapabilityValue('dim', dim);
+  }
+
   /**
    * Update device state tracking
    */
@@ -114,6 +701,180 @@ class AdeoLight extends ZigBeeLightDevice {
     this.emit('capabilityChanged', capability, value);
   }
 
+  /**
+   * Groups cluster of the bulb
+   */
+  get groupsCluster() {
+    const endpointId = this.getClusterEndpoint(CLUSTER.GROUPS);
+    if (endpointId === null) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.CLUSTER_NOT_SUPPORTED, 'Groups cluster not supported', CLUSTER.GROUPS.ID, null);
+    }
+    return this.zclNode.endpoints[endpointId].clusters.groups;
+  }
+
+  /**
+   * Add the bulb to a Zigbee group
+   */
+  async addToGroup(groupId, groupName = '') {
+    const { status } = await this.groupsCluster.addGroup({
+      groupId,
+      groupName: groupName.substring(0, CONFIG.GROUPS.MAX_NAME_LENGTH)
+    });
+
+    // Re-adding updates the group name, an existing membership is fine
+    if (status !== 'SUCCESS' && status !== 'DUPLICATE_EXISTS') {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.GROUP_COMMAND_FAILED, `addGroup failed with status ${status}`, CLUSTER.GROUPS.ID, null, { groupId });
+    }
+    this.log(`Added to group ${groupId}`);
+  }
+
+  /**
+   * Remove the bulb from a Zigbee group
+   */
+  async removeFromGroup(groupId) {
+    const { status } = await this.groupsCluster.removeGroup({ groupId });
+
+    if (status !== 'SUCCESS' && status !== 'NOT_FOUND') {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.GROUP_COMMAND_FAILED, `removeGroup failed with status ${status}`, CLUSTER.GROUPS.ID, null, { groupId });
+    }
+    this.log(`Removed from group ${groupId}`);
+  }
+
+  /**
+   * Read the groups the bulb is a member of
+   */
+  async getGroupMembership() {
+    const { groups } = await this.groupsCluster.getGroupMembership({ groupIds: [] });
+    return groups;
+  }
+
+  /**
+   * Scenes cluster of the bulb
+   */
+  get scenesCluster() {
+    const endpointId = this.getClusterEndpoint(CLUSTER.SCENES);
+    if (endpointId === null) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.CLUSTER_NOT_SUPPORTED, 'Scenes cluster not supported', CLUSTER.SCENES.ID, null);
+    }
+    return this.zclNode.endpoints[endpointId].clusters.scenes;
+  }
+
+  /**
+   * Throw when a Scenes command response has a failure status
+   */
+  checkSceneStatus(command, status, sceneId, groupId, allowed = []) {
+    if (status !== 'SUCCESS' && !allowed.includes(status)) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.SCENE_COMMAND_FAILED, `${command} failed with status ${status}`, CLUSTER.SCENES.ID, null, { sceneId, groupId });
+    }
+  }
+
+  /**
+   * Add an empty scene, to be filled by storeScene
+   */
+  async addScene(sceneId, { groupId = CONFIG.SCENES.BULB_GROUP_ID, name = '', transitionTime = 0 } = {}) {
+    const { status } = await this.scenesCluster.addScene({
+      groupId,
+      sceneId,
+      transitionTime,
+      sceneName: name.substring(0, CONFIG.SCENES.MAX_NAME_LENGTH),
+      extensionFieldSets: Buffer.alloc(0)
+    });
+
+    this.checkSceneStatus('addScene', status, sceneId, groupId);
+    this.log(`Added scene ${sceneId} (group ${groupId})`);
+  }
+
+  /**
+   * Store the current state of the bulb as a scene
+   */
+  async storeScene(sceneId, groupId = CONFIG.SCENES.BULB_GROUP_ID) {
+    const { status } = await this.scenesCluster.storeScene({ groupId, sceneId });
+
+    this.checkSceneStatus('storeScene', status, sceneId, groupId);
+    this.log(`Stored scene ${sceneId} (group ${groupId})`);
+  }
+
+  /**
+   * Recall a scene stored on the bulb
+   */
+  async recallScene(sceneId, groupId = CONFIG.SCENES.BULB_GROUP_ID) {
+    await this.scenesCluster.recallScene({ groupId, sceneId });
+    this.log(`Recalled scene ${sceneId} (group ${groupId})`);
+
+    // The scene decides the new state, read it back for the capabilities
+    await this.refreshOnOffAndDim().catch(this.error);
+  }
+
+  /**
+   * Remove a scene from the bulb, a scene that does not exist is fine
+   */
+  async removeScene(sceneId, groupId = CONFIG.SCENES.BULB_GROUP_ID) {
+    const { status } = await this.scenesCluster.removeScene({ groupId, sceneId });
+
+    this.checkSceneStatus('removeScene', status, sceneId, groupId, ['NOT_FOUND']);
+    this.log(`Removed scene ${sceneId} (group ${groupId})`);
+  }
+
+  /**
+   * Read the name and transition time of a stored scene
+   */
+  async viewScene(sceneId, groupId = CONFIG.SCENES.BULB_GROUP_ID) {
+    const { status, details } = await this.scenesCluster.viewScene({ groupId, sceneId });
+    this.checkSceneStatus('viewScene', status, sceneId, groupId);
+
+    // transitionTime (uint16) followed by the length prefixed scene name
+    const nameLength = details.length > 2 ? details.readUInt8(2) : 0;
+    return {
+      groupId,
+      sceneId,
+      transitionTime: details.length >= 2 ? details.readUInt16LE(0) : 0,
+      name: details.subarray(3, 3 + nameLength).toString()
+    };
+  }
+
+  /**
+   * Read the scenes stored on the bulb for a group
+   */
+  async getSceneMembership(groupId = CONFIG.SCENES.BULB_GROUP_ID) {
+    const { status, capacity, sceneList } = await this.scenesCluster.getSceneMembership({ groupId });
+
+    // Bulbs answer INVALID_FIELD for groups they are not a member of
+    if (status !== 'SUCCESS') {
+      return { capacity, scenes: [] };
+    }
+    return { capacity, scenes: [...sceneList.subarray(1, 1 + sceneList.readUInt8(0))] };
+  }
+
+  /**
+   * Read onoff and dim back from the bulb
+   */
+  async refreshOnOffAndDim() {
+    const { onOff } = await this.onOffCluster.readAttributes(['onOff']);
+    if (typeof onOff === 'boolean') {
+      await this.setCapabilityValue('onoff', onOff);
+    }
+
+    const { currentLevel } = await this.levelControlCluster.readAttributes(['currentLevel']);
+    if (typeof currentLevel === 'number') {
+      await this.setCapabilityValue('dim', onOff === false ? 0 : Math.max(0.01, currentLevel / 254));
+    }
+  }
+
+  /**
+   * Apply a capability value sent to one of the bulb's groups
+   */
+  async applyGroupValue(capability, value, opts = {}) {
+    if (capability === 'onoff') {
+      await this.changeOnOff(value);
+    } else if (capability === 'dim') {
+      await this.changeDimLevel(value, opts);
+    } else {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.INVALID_COMMAND, `Unsupported group capability ${capability}`, null, null);
+    }
+
+    await this.setCapabilityValue(capability, value);
+  }
+
   /**
    * Get device state information
    */
@@ -125,10 +886,10 @@ class AdeoLight extends ZigBeeLightDevice {
         id: this.getData().id,
         capabilities: this.getCapabilities(),
         available: this.getAvailable(),
-        capabilityValues: {
-          onoff: this.getCapabilityValue('onoff'),
-          dim: this.getCapabilityValue('dim')
-        }
+        capabilityValues: this.getCapabilities().reduce((values, capability) => {
+          values[capability] = this.getCapabilityValue(capability);
+          return values;
+        }, {})
       }
     };
   }
@@ -165,6 +926,9 @@ class AdeoLight extends ZigBeeLightDevice {
       // Clean up device state
       this.deviceState = null;
 
+      // Notify app of device deletion
+      this.homey.app.emit('deviceDeleted', this);
+
       // Call parent cleanup if it exists
       if (super.onDeleted) {
         await super.onDeleted();
@@ -0,0 +1,104 @@
+const Homey = require('homey');
+
+class LightGroup extends Homey.Device {
+
+  async onInit() {
+    try {
+      this.log('Initializing light group device...');
+
+      this.groupManager = this.homey.app.groupManager;
+      this.groupId = this.getData().groupId;
+
+      // Commands for the group go out to every member bulb
+      this.registerCapabilityListener('onoff', this.onCapabilityOnOff.bind(this));
+      this.registerCapabilityListener('dim', this.onCapabilityDim.bind(this));
+
+      this.log(`Light group ${this.groupId} initialized`);
+
+      // Notify app of device initialization
+      this.homey.app.emit('deviceInitialized', this);
+    } catch (error) {
+      this.error('Failed to initialize light group device:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle onoff capability changes
+   */
+  async onCapabilityOnOff(value) {
+    this.log(`Group onoff changed to: ${value}`);
+    await this.groupManager.setGroupValue(this.groupId, 'onoff', value);
+  }
+
+  /**
+   * Handle dim capability changes
+   */
+  async onCapabilityDim(value, opts) {
+    this.log(`Group dim changed to: ${value}`);
+    await this.groupManager.setGroupValue(this.groupId, 'dim', value, opts);
+
+    // Keep onoff consistent with the dim level like a single bulb does
+    await this.setCapabilityValue('onoff', value > 0).catch(this.error);
+  }
+
+  /**
+   * Add a bulb to this group
+   */
+  async addMember(bulb) {
+    return this.groupManager.addMember(this.groupId, bulb);
+  }
+
+  /**
+   * Remove a bulb from this group
+   */
+  async removeMember(bulb) {
+    return this.groupManager.removeMember(this.groupId, bulb);
+  }
+
+  /**
+   * Save the current state of the members as a scene of this group
+   */
+  async storeScene(sceneId) {
+    return this.groupManager.storeScene(this.groupId, sceneId);
+  }
+
+  /**
+   * Recall a scene of this group
+   */
+  async recallScene(sceneId) {
+    return this.groupManager.recallScene(this.groupId, sceneId);
+  }
+
+  /**
+   * Keep the group name stored on the bulbs in sync with the device name
+   */
+  async onRenamed(name) {
+    try {
+      await this.groupManager.renameGroup(this.groupId, name);
+    } catch (error) {
+      this.error('Error renaming group:', error);
+    }
+  }
+
+  /**
+   * Remove the group from its members when the device is deleted
+   */
+  async onDeleted() {
+    try {
+      this.log('Light group is being deleted, cleaning up...');
+
+      await this.groupManager.deleteGroup(this.groupId);
+
+      // Notify app of device deletion
+      this.homey.app.emit('deviceDeleted', this);
+
+      this.log('Light group cleanup completed');
+    } catch (error) {
+      this.error('Error during light group cleanup:', error);
+    }
+  }
+
+}
+
+module.exports = LightGroup;
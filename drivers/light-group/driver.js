@@ -0,0 +1,72 @@
+const Homey = require('homey');
+
+class LightGroupDriver extends Homey.Driver {
+
+  /**
+   * Handle the pairing session that creates a new group
+   */
+  async onPair(session) {
+    const { groupManager } = this.homey.app;
+    let createdGroupId = null;
+    // Set once the view starts adding the device, its group is then never cleaned up
+    let addingDevice = false;
+
+    // List the bulbs that can be added to the group
+    session.setHandler('getBulbs', async () => {
+      return groupManager.getBulbs().map(bulb => ({
+        id: bulb.getData().id,
+        name: bulb.getName()
+      }));
+    });
+
+    // Create the group on the selected bulbs and return the device to add
+    session.setHandler('createGroup', async ({ name, deviceIds }) => {
+      this.log(`Creating group ${name} with ${deviceIds.length} bulbs`);
+
+      const group = await groupManager.createGroup(name, deviceIds);
+      createdGroupId = group.id;
+
+      return {
+        name: group.name,
+        data: {
+          id: `group-${group.id}`,
+          groupId: group.id
+        }
+      };
+    });
+
+    // The view is about to create the device of the group
+    session.setHandler('addingDevice', async () => {
+      addingDevice = true;
+    });
+
+    // Adding the device failed, the view creates a new group when the user tries again
+    session.setHandler('discardGroup', async () => {
+      addingDevice = false;
+      await this.discardGroup(groupManager, createdGroupId);
+      createdGroupId = null;
+    });
+
+    // A group whose device was never added, because pairing was closed, is deleted again
+    session.setHandler('disconnect', async () => {
+      if (!addingDevice) {
+        await this.discardGroup(groupManager, createdGroupId);
+      }
+    });
+  }
+
+  /**
+   * Delete a group created during pairing whose device was not added
+   */
+  async discardGroup(groupManager, groupId) {
+    if (groupId === null) {
+      return;
+    }
+
+    this.log(`Group ${groupId} was not added, deleting it`);
+    await groupManager.deleteGroup(groupId).catch(this.error);
+  }
+
+}
+
+module.exports = LightGroupDriver;
@@ -44,6 +44,15 @@ class AdeoCluster extends Cluster {
       buttonMapping: {
         id: 0x0001,
         type: ZCLDataTypes.array
+      },
+      // In-wall micromodules: the wall switch wired to the module
+      switchType: {
+        id: 0x0002,
+        type: ZCLDataTypes.enum8({
+          toggle: 0x00,
+          momentary: 0x01
+        }),
+        manufacturerId: CONFIG.ZIGBEE.MANUFACTURER_ID
       }
     };
   }
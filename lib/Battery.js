@@ -0,0 +1,82 @@
+const { CLUSTER } = require('zigbee-clusters');
+const { CONFIG } = require('./Config');
+
+/**
+ * Battery level handling shared by the battery powered devices
+ */
+const Battery = {
+  /**
+   * Battery percentage from batteryPercentageRemaining, null when the device does not know it
+   * The ZCL scale is 0 - 200, some devices report on a 0 - 255 or 0 - 100 scale instead
+   */
+  parsePercentage(value) {
+    if (value === CONFIG.BATTERY.UNKNOWN_LEVEL || value === null || value === undefined) {
+      return null;
+    }
+
+    let batteryPercentage;
+    if (value > 200) {
+      // Some devices report 0-255 scale
+      batteryPercentage = Math.round((value / 255) * 100);
+    } else if (value > 100) {
+      // Standard ZCL 0-200 scale (200 = 100%)
+      batteryPercentage = Math.round(value / 2);
+    } else {
+      batteryPercentage = Math.round(value);
+    }
+
+    return Math.max(0, Math.min(100, batteryPercentage));
+  },
+
+  /**
+   * Battery percentage from batteryVoltage, in decivolts, of a lithium coin cell
+   */
+  percentageFromVoltage(value) {
+    const voltage = value / 10;
+    const { FULL_VOLTAGE, EMPTY_VOLTAGE } = CONFIG.BATTERY;
+
+    return Math.max(0, Math.min(100, Math.round(((voltage - EMPTY_VOLTAGE) / (FULL_VOLTAGE - EMPTY_VOLTAGE)) * 100)));
+  },
+
+  /**
+   * Register measure_battery on a device, with reports of the battery voltage as fallback
+   * @param {ZigBeeDevice} device
+   * @param {object} [options]
+   * @param {Function} [options.onPercentage] - Called with every battery percentage, before it is set
+   */
+  register(device, { onPercentage = () => {} } = {}) {
+    device.registerCapability('measure_battery', CLUSTER.POWER_CONFIGURATION, {
+      get: 'batteryPercentageRemaining',
+      report: 'batteryPercentageRemaining',
+      reportParser: (value) => {
+        const batteryPercentage = Battery.parsePercentage(value);
+        if (batteryPercentage !== null) {
+          onPercentage(batteryPercentage);
+        }
+        return batteryPercentage;
+      },
+      reportOpts: {
+        configureAttributeReporting: { ...CONFIG.BATTERY.REPORTING }
+      },
+      getOpts: {
+        getOnStart: true,
+        getOnOnline: true
+      }
+    });
+
+    const endpointId = device.getClusterEndpoint(CLUSTER.POWER_CONFIGURATION);
+    if (endpointId === null) {
+      return;
+    }
+
+    device.zclNode.endpoints[endpointId].clusters[CLUSTER.POWER_CONFIGURATION.NAME].on('attr.batteryVoltage', (value) => {
+      const batteryPercentage = Battery.percentageFromVoltage(value);
+
+      device.log(`Converted battery voltage ${value / 10}V to ${batteryPercentage}%`);
+      onPercentage(batteryPercentage);
+      device.setCapabilityValue('measure_battery', batteryPercentage).catch(device.error);
+    });
+  }
+};
+
+module.exports = Battery;
@@ -0,0 +1,101 @@
+const { CONFIG } = require('./Config');
+
+// ColorControl colorMode attribute values (as parsed by zigbee-clusters)
+const COLOR_MODES = {
+  currentHueAndCurrentSaturation: 'color',
+  currentXAndCurrentY: 'color',
+  colorTemperatureMireds: 'temperature'
+};
+
+/**
+ * Conversions between Homey capability values (0 - 1) and ZCL ColorControl units
+ */
+const ColorUtils = {
+  /**
+   * Clamp a value to a range
+   */
+  clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  },
+
+  /**
+   * Get a usable colour temperature range, bulbs sometimes report 0 or 0xffff
+   */
+  sanitizeMiredsRange({ min, max } = {}) {
+    const valid = Number.isInteger(min) && Number.isInteger(max)
+      && min > 0 && max < 0xffff && min < max;
+
+    if (!valid) {
+      return { min: CONFIG.LIGHT.DEFAULT_MIN_MIREDS, max: CONFIG.LIGHT.DEFAULT_MAX_MIREDS };
+    }
+    return { min, max };
+  },
+
+  /**
+   * Homey light_temperature (0 = cold, 1 = warm) to mireds
+   */
+  temperatureToMireds(value, range) {
+    const { min, max } = this.sanitizeMiredsRange(range);
+    return Math.round(min + this.clamp(value, 0, 1) * (max - min));
+  },
+
+  /**
+   * Mireds to Homey light_temperature (0 = cold, 1 = warm)
+   */
+  miredsToTemperature(mireds, range) {
+    const { min, max } = this.sanitizeMiredsRange(range);
+    return this.clamp((mireds - min) / (max - min), 0, 1);
+  },
+
+  /**
+   * Kelvin to mireds, limited to the bulb's range
+   */
+  kelvinToMireds(kelvin, range) {
+    const { min, max } = this.sanitizeMiredsRange(range);
+    return this.clamp(Math.round(1000000 / kelvin), min, max);
+  },
+
+  /**
+   * Mireds to Kelvin, rounded to 10K
+   */
+  miredsToKelvin(mireds) {
+    return Math.round(1000000 / mireds / 10) * 10;
+  },
+
+  /**
+   * Homey light_hue to ZCL currentHue
+   */
+  hueToZcl(value) {
+    return Math.round(this.clamp(value, 0, 1) * CONFIG.LIGHT.MAX_HUE);
+  },
+
+  /**
+   * ZCL currentHue to Homey light_hue
+   */
+  zclToHue(hue) {
+    return this.clamp(hue / CONFIG.LIGHT.MAX_HUE, 0, 1);
+  },
+
+  /**
+   * Homey light_saturation to ZCL currentSaturation
+   */
+  saturationToZcl(value) {
+    return Math.round(this.clamp(value, 0, 1) * CONFIG.LIGHT.MAX_SATURATION);
+  },
+
+  /**
+   * ZCL currentSaturation to Homey light_saturation
+   */
+  zclToSaturation(saturation) {
+    return this.clamp(saturation / CONFIG.LIGHT.MAX_SATURATION, 0, 1);
+  },
+
+  /**
+   * ZCL colorMode to Homey light_mode
+   */
+  colorModeToLightMode(colorMode) {
+    return COLOR_MODES[colorMode] || null;
+  }
+};
+
+module.exports = ColorUtils;
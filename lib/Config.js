@@ -10,7 +10,11 @@ const CONFIG = {
     RETRY_ATTEMPTS: 3,
     RETRY_DELAY: 1000, // 1 second
     MAX_ERROR_HISTORY: 100,
-    HEARTBEAT_INTERVAL: 60000 // 1 minute
+    HEARTBEAT_INTERVAL: 60000, // 1 minute
+    // Silence after which a device is marked offline, in minutes
+    OFFLINE_AFTER: 10, // mains powered devices, overridden by the app setting below
+    OFFLINE_AFTER_SETTING: 'offlineAfter',
+    BATTERY_OFFLINE_AFTER: 48 * 60 // battery devices only talk when used or reporting
   },
 
   // ZigBee Specific
@@ -34,16 +38,217 @@ const CONFIG = {
         CMD_76: 'brightness',
         CMD_5: 'brightness',
         CMD_2: 'color'
-      }
+      },
+      // Logical buttons, in the order the flow cards list them
+      BUTTONS: [
+        'on', 'off', 'toggle', 'brightness_up', 'brightness_down',
+        'scene_1', 'scene_2', 'scene_3', 'scene_4',
+        'green_up', 'green_down', 'green_left', 'green_right',
+        'red_up', 'red_down'
+      ],
+      // Frame table used by RemoteFrameDecoder. Entries are matched in order on
+      // cluster id, command id and an optional payload prefix (null = any byte).
+      // The ZCL transaction sequence number is never part of a match.
+      FRAMES: [
+        // Entries without a type are single presses. Held buttons send a "move"
+        // command (type 'hold') and a "stop" command (type 'release') on release.
+
+        // OnOff (0x0006): off / on / toggle
+        { clusterId: 0x0006, commandId: 0x00, button: 'off' },
+        { clusterId: 0x0006, commandId: 0x01, button: 'on' },
+        { clusterId: 0x0006, commandId: 0x02, button: 'toggle' },
+
+        // LevelControl (0x0008): step / stepWithOnOff, payload[0] is the step mode (0 = up, 1 = down)
+        { clusterId: 0x0008, commandId: 0x02, payload: [0x00], button: 'brightness_up' },
+        { clusterId: 0x0008, commandId: 0x02, payload: [0x01], button: 'brightness_down' },
+        { clusterId: 0x0008, commandId: 0x06, payload: [0x00], button: 'brightness_up' },
+        { clusterId: 0x0008, commandId: 0x06, payload: [0x01], button: 'brightness_down' },
+        { clusterId: 0x0008, commandId: 0x01, payload: [0x00], button: 'brightness_up', type: 'hold' }, // move
+        { clusterId: 0x0008, commandId: 0x01, payload: [0x01], button: 'brightness_down', type: 'hold' },
+        { clusterId: 0x0008, commandId: 0x05, payload: [0x00], button: 'brightness_up', type: 'hold' }, // moveWithOnOff
+        { clusterId: 0x0008, commandId: 0x05, payload: [0x01], button: 'brightness_down', type: 'hold' },
+        { clusterId: 0x0008, commandId: 0x03, type: 'release' }, // stop
+        { clusterId: 0x0008, commandId: 0x07, type: 'release' }, // stopWithOnOff
+
+        // Scenes (0x0005): recallScene, payload is groupId (uint16) followed by sceneId
+        { clusterId: 0x0005, commandId: 0x05, payload: [null, null, 0x01], button: 'scene_1', scene: 1 },
+        { clusterId: 0x0005, commandId: 0x05, payload: [null, null, 0x02], button: 'scene_2', scene: 2 },
+        { clusterId: 0x0005, commandId: 0x05, payload: [null, null, 0x03], button: 'scene_3', scene: 3 },
+        { clusterId: 0x0005, commandId: 0x05, payload: [null, null, 0x04], button: 'scene_4', scene: 4 },
+
+        // ColorControl (0x0300): payload[0] is the step mode (1 = up, 3 = down)
+        { clusterId: 0x0300, commandId: 0x02, payload: [0x01], button: 'green_right' }, // stepHue
+        { clusterId: 0x0300, commandId: 0x02, payload: [0x03], button: 'green_left' },
+        { clusterId: 0x0300, commandId: 0x05, payload: [0x01], button: 'green_up' }, // stepSaturation
+        { clusterId: 0x0300, commandId: 0x05, payload: [0x03], button: 'green_down' },
+        { clusterId: 0x0300, commandId: 0x4c, payload: [0x01], button: 'red_up' }, // stepColorTemperature
+        { clusterId: 0x0300, commandId: 0x4c, payload: [0x03], button: 'red_down' },
+        { clusterId: 0x0300, commandId: 0x01, payload: [0x01], button: 'green_right', type: 'hold' }, // moveHue
+        { clusterId: 0x0300, commandId: 0x01, payload: [0x03], button: 'green_left', type: 'hold' },
+        { clusterId: 0x0300, commandId: 0x04, payload: [0x01], button: 'green_up', type: 'hold' }, // moveSaturation
+        { clusterId: 0x0300, commandId: 0x04, payload: [0x03], button: 'green_down', type: 'hold' },
+        { clusterId: 0x0300, commandId: 0x4b, payload: [0x01], button: 'red_up', type: 'hold' }, // moveColorTemperature
+        { clusterId: 0x0300, commandId: 0x4b, payload: [0x03], button: 'red_down', type: 'hold' },
+        { clusterId: 0x0300, commandId: 0x01, payload: [0x00], type: 'release' }, // move with mode "stop"
+        { clusterId: 0x0300, commandId: 0x04, payload: [0x00], type: 'release' },
+        { clusterId: 0x0300, commandId: 0x4b, payload: [0x00], type: 'release' },
+        { clusterId: 0x0300, commandId: 0x47, type: 'release' }, // stopMoveStep
+
+        // ADEO manufacturer cluster (0xFE00): buttonEvent, payload[0] is the scene button id
+        { clusterId: 0xfe00, commandId: 0x00, payload: [0x0a], button: 'scene_1', scene: 1 },
+        { clusterId: 0xfe00, commandId: 0x00, payload: [0x0b], button: 'scene_2', scene: 2 },
+        { clusterId: 0xfe00, commandId: 0x00, payload: [0x0c], button: 'scene_3', scene: 3 },
+        { clusterId: 0xfe00, commandId: 0x00, payload: [0x0d], button: 'scene_4', scene: 4 }
+      ]
+    }
+  },
+
+  // Button gestures (device settings override the thresholds)
+  GESTURES: {
+    LONG_PRESS_THRESHOLD: 500, // ms a button must be held before long_press_start
+    HOLD_REPEAT_INTERVAL: 300, // ms between hold_repeat events
+    MAX_HOLD_DURATION: 10000, // default ms after which a hold is released if the stop frame was lost
+    CLICK_WINDOW: 400 // ms to wait for another click when multi-click is enabled
+  },
+
+  // Light defaults
+  LIGHT: {
+    MAX_HUE: 254,
+    MAX_SATURATION: 254,
+    // Used when a bulb reports no or an invalid physical colour temperature range
+    DEFAULT_MIN_MIREDS: 153, // 6500K
+    DEFAULT_MAX_MIREDS: 370, // 2700K
+    // ZCL transition times are uint16 tenths of a second
+    MAX_TRANSITION_TIME: 6553, // seconds
+    // Start-up attribute values that restore the state from before the power cut
+    STARTUP_PREVIOUS_LEVEL: 0xff,
+    STARTUP_PREVIOUS_MIREDS: 0xffff,
+    // Presets cycled through by the cycle presets action
+    MAX_PRESETS: 10,
+    PRESET_INDEX_STORE_KEY: 'presetIndex',
+    // Identify cluster effects, in zigbee-clusters triggerEffect naming
+    EFFECTS: {
+      blink: 'Blink',
+      breathe: 'Breathe',
+      okay: 'Okay',
+      channelChange: 'Channel change',
+      finish: 'Finish effect',
+      stop: 'Stop effect'
+    },
+    IDENTIFY_TIME: 10, // seconds, used by the maintenance button
+    EFFECT_SUPPORT_STORE_KEY: 'triggerEffectSupported',
+    DEFAULT_COLOR_LOOP_TIME: 15 // seconds per loop
+  },
+
+  // Smart plug metering
+  PLUG: {
+    // Default reporting intervals of the measurements, in seconds (device settings override them)
+    REPORT_MIN_INTERVAL: 10,
+    REPORT_MAX_INTERVAL: 300,
+    // Smallest change that is reported, in capability units
+    REPORT_MIN_CHANGE: {
+      measure_power: 1, // W
+      measure_voltage: 1, // V
+      measure_current: 0.05, // A
+      meter_power: 0.01 // kWh
+    },
+    FACTORS_STORE_KEY: 'measurementFactors',
+    SUPPORT_STORE_KEY: 'plugSettingsSupport'
+  },
+
+  // In-wall switch and dimmer micromodules, one Homey device for all channels
+  MICROMODULE: {
+    // Endpoint of each channel on sub capabilities, onoff and dim are the channel on ZIGBEE.ENDPOINT_ID
+    CHANNEL_ENDPOINTS: {
+      channel2: 2
+    },
+    SWITCH_TYPE_STORE_KEY: 'switchTypeSupported'
+  },
+
+  // Battery level of the battery powered devices, from the Power Configuration cluster
+  BATTERY: {
+    UNKNOWN_LEVEL: 255, // batteryPercentageRemaining of a device that does not know its level
+    // Lithium coin cells (CR2032, CR2450), in volts
+    FULL_VOLTAGE: 3.0,
+    EMPTY_VOLTAGE: 2.0,
+    REPORTING: {
+      minInterval: 300, // 5 minutes
+      maxInterval: 7200, // 2 hours
+      minChange: 2 // 2% change
     }
   },
 
+  // Battery powered IAS Zone sensors
+  SENSOR: {
+    IAS_ZONE_ID: 1, // Zone id Homey assigns when enrolling a sensor
+    ENROLLED_STORE_KEY: 'iasZoneEnrolled',
+    LOW_BATTERY: 10 // %, alarm_battery turns on at or below this level
+  },
+
+  // Battery powered temperature and humidity sensors
+  CLIMATE: {
+    // Reporting intervals of the measurements, in seconds (the thresholds are device settings)
+    REPORT_MIN_INTERVAL: 60,
+    REPORT_MAX_INTERVAL: 3600,
+    // Set while new thresholds wait for the sensor to wake up
+    REPORTING_PENDING_STORE_KEY: 'measurementReportingPending'
+  },
+
+  // Learning mode of the remote: raw frame recording and user labelled buttons
+  LEARNING: {
+    BUFFER_SIZE: 50,
+    FRAMES_STORE_KEY: 'learnedFrames',
+    CUSTOM_BUTTONS_STORE_KEY: 'customButtons',
+    MAX_NAME_LENGTH: 32
+  },
+
+  // Zigbee groups of ZBEK-4 bulbs
+  GROUPS: {
+    SETTINGS_KEY: 'zigbeeGroups',
+    MEMBER_DRIVER: 'ZBEK-4',
+    FIRST_ID: 0x1000,
+    LAST_ID: 0xfff7, // 0xfff8 - 0xffff are reserved
+    MAX_NAME_LENGTH: 16
+  },
+
+  // Device methods the Web API may execute, per driver
+  API: {
+    COMMANDS: {
+      'ZBEK-4': [
+        'toggle', 'transitionTo', 'stepBrightness', 'stepColorTemperature', 'cyclePresets',
+        'identify', 'triggerEffect', 'startColorLoop', 'stopColorLoop',
+        'storeScene', 'recallScene', 'ping'
+      ],
+      'ZBEK-26': ['setLearningMode', 'clearLearnedFrames', 'labelFrame'],
+      'light-group': ['storeScene', 'recallScene'],
+      'SIN-4-1-20': ['toggle', 'ping', 'configureMeasurementReporting'],
+      'SIN-4-2-20': ['toggle', 'ping'],
+      'LDSENK07': ['configureMeasurementReporting']
+    },
+    MAX_ERROR_LOG: 200
+  },
+
+  // Device statistics persisted across app restarts
+  STATISTICS: {
+    SETTINGS_KEY: 'deviceStatistics',
+    FLUSH_INTERVAL: 5 * 60000, // 5 minutes
+    RETENTION_DAYS: 7,
+    MAX_COMMAND_HISTORY: 50
+  },
+
+  // Scenes stored on the bulbs through their Scenes cluster
+  SCENES: {
+    BULB_GROUP_ID: 0, // Scenes of a single bulb, outside any group
+    MAX_NAME_LENGTH: 16
+  },
+
   // Flow Cards
   FLOW_CARDS: {
     TRIGGERS: [
       'button_pressed',
       'pressed_on',
       'pressed_off', 
+      'pressed_toggle',
       'pressed_brightness_up',
       'pressed_brightness_down',
       'pressed_scene_1',
@@ -51,7 +256,25 @@ const CONFIG = {
       'pressed_scene_3',
       'pressed_scene_4',
       'pressed_color_left',
-      'pressed_color_right'
+      'pressed_color_right',
+      'button_short_press',
+      'button_long_press_start',
+      'button_hold_repeat',
+      'button_long_press_release',
+      'button_multi_click',
+      'device_offline',
+      'device_online',
+      'contact_opened',
+      'contact_closed',
+      'channel2_turned_on',
+      'channel2_turned_off'
+    ],
+    CONDITIONS: [
+      'last_button_is',
+      'button_pressed_within',
+      'remote_available',
+      'motion_luminance_below',
+      'channel2_is_on'
     ]
   },
 
@@ -72,7 +295,13 @@ const CONFIG = {
     INVALID_VALUE: 'InvalidValue',
     SYSTEM_ERROR: 'SystemError',
     INITIALIZATION_FAILED: 'InitializationFailed',
-    CLUSTER_BIND_FAILED: 'ClusterBindFailed'
+    CLUSTER_BIND_FAILED: 'ClusterBindFailed',
+    CLUSTER_NOT_SUPPORTED: 'ClusterNotSupported',
+    ATTRIBUTE_NOT_SUPPORTED: 'AttributeNotSupported',
+    COMMAND_NOT_SUPPORTED: 'CommandNotSupported',
+    GROUP_NOT_FOUND: 'GroupNotFound',
+    GROUP_COMMAND_FAILED: 'GroupCommandFailed',
+    SCENE_COMMAND_FAILED: 'SceneCommandFailed'
   },
 
   // Feature Flags
@@ -163,7 +392,7 @@ const Utils = {
    * Validate capability name
    */
   isValidCapability(capability) {
-    const validCapabilities = ['onoff', 'dim', 'color_temperature', 'light_hue', 'light_saturation'];
+    const validCapabilities = ['onoff', 'dim', 'light_temperature', 'light_hue', 'light_saturation', 'light_mode'];
     return validCapabilities.includes(capability);
   },
 
@@ -1,4 +1,5 @@
 const EventEmitter = require('events');
+const { CONFIG, DeviceError } = require('./Config');
 
 /**
  * Device Manager inspired by Devialet IP Control patterns
@@ -12,6 +13,11 @@ class DeviceManager extends EventEmitter {
     this.devices = new Map();
     this.deviceStates = new Map();
     this.deviceErrors = new Map();
+
+    // Statistics saved before the last restart, per device id
+    this.storedStatistics = {};
+    this.statisticsLoaded = false;
+    this.statisticsSince = new Date();
     
     // Configuration
     this.config = {
@@ -37,6 +43,7 @@ class DeviceManager extends EventEmitter {
 
       this.devices.set(deviceId, device);
       this.deviceStates.set(deviceId, this.createInitialDeviceState(device));
+      this.restoreDeviceStatistics(device, deviceId);
       
       // Setup device event listeners
       this.setupDeviceListeners(device, deviceId);
@@ -62,6 +69,7 @@ class DeviceManager extends EventEmitter {
         this.devices.delete(deviceId);
         this.deviceStates.delete(deviceId);
         this.deviceErrors.delete(deviceId);
+        delete this.storedStatistics[deviceId];
         
         this.app.log(`Device unregistered: ${deviceId}`);
         this.emit('deviceUnregistered', device, deviceId);
@@ -73,9 +81,14 @@ class DeviceManager extends EventEmitter {
 
   /**
    * Get device ID from device object
+   * Zigbee sub devices share the data of their main device, apart from the sub device id
    */
   getDeviceId(device) {
-    return device.getData().id || device.getId();
+    const { id, subDeviceId } = device.getData();
+    if (id && subDeviceId) {
+      return `${id}-${subDeviceId}`;
+    }
+    return id || device.getId();
   }
 
   /**
@@ -89,6 +102,7 @@ class DeviceManager extends EventEmitter {
       available: device.getAvailable(),
       registeredAt: new Date(),
       lastSeen: new Date(),
+      offline: false,
       interactions: 0,
       errors: []
     };
@@ -109,9 +123,137 @@ class DeviceManager extends EventEmitter {
     });
 
     // Listen for errors
-    device.on('error', (error) => {
-      this.handleDeviceError(deviceId, error);
+    device.on('error', (error, context) => {
+      this.handleDeviceError(deviceId, error, context);
     });
+
+    // Any frame from the device proves it is still there
+    device.on('frameReceived', () => {
+      this.markDeviceSeen(deviceId);
+    });
+  }
+
+  /**
+   * Start checking device health every heartbeat interval
+   */
+  startHealthMonitor() {
+    if (!CONFIG.FEATURES.ENABLE_HEARTBEAT || this.healthInterval) {
+      return;
+    }
+
+    this.healthInterval = this.app.homey.setInterval(() => {
+      this.checkDeviceHealth().catch(error => this.app.error('Device health check failed:', error));
+    }, CONFIG.DEVICE.HEARTBEAT_INTERVAL);
+    this.app.log('Device health monitor started');
+  }
+
+  /**
+   * Stop the health monitor
+   */
+  stopHealthMonitor() {
+    if (this.healthInterval) {
+      this.app.homey.clearInterval(this.healthInterval);
+      this.healthInterval = null;
+    }
+  }
+
+  /**
+   * How a device is monitored
+   * Mains powered devices implement ping(), battery devices are only watched
+   * passively and other devices (like light groups) are not monitored
+   */
+  getHealthPolicy(device) {
+    if (typeof device.ping === 'function') {
+      return 'ping';
+    }
+    if (typeof device.hasCapability === 'function' && device.hasCapability('measure_battery')) {
+      return 'passive';
+    }
+    return null;
+  }
+
+  /**
+   * Silence window in ms after which a device is marked offline
+   */
+  getOfflineAfter(device) {
+    if (this.getHealthPolicy(device) === 'passive') {
+      return CONFIG.DEVICE.BATTERY_OFFLINE_AFTER * 60000;
+    }
+
+    const minutes = Number(this.app.homey.settings.get(CONFIG.DEVICE.OFFLINE_AFTER_SETTING)) || CONFIG.DEVICE.OFFLINE_AFTER;
+    return minutes * 60000;
+  }
+
+  /**
+   * Record that a device was heard from, bringing it back online when it was offline
+   */
+  markDeviceSeen(deviceId) {
+    const state = this.deviceStates.get(deviceId);
+    if (!state) {
+      return;
+    }
+
+    state.lastSeen = new Date();
+    if (state.offline) {
+      this.markDeviceOnline(deviceId).catch(error => this.app.error(`Error marking ${deviceId} online:`, error));
+    }
+  }
+
+  /**
+   * Ping silent mains powered devices and mark devices offline after the silence window
+   */
+  async checkDeviceHealth() {
+    for (const [deviceId, device] of this.devices) {
+      const state = this.deviceStates.get(deviceId);
+      const policy = this.getHealthPolicy(device);
+      if (!state || !policy) {
+        continue;
+      }
+
+      // Pings go out one at a time to keep the Zigbee network quiet
+      if (policy === 'ping' && Date.now() - state.lastSeen.getTime() >= CONFIG.DEVICE.HEARTBEAT_INTERVAL) {
+        try {
+          await device.ping();
+          this.markDeviceSeen(deviceId);
+        } catch (error) {
+          this.app.log(`Ping of ${deviceId} failed:`, error.message);
+        }
+      }
+
+      if (!state.offline && Date.now() - state.lastSeen.getTime() >= this.getOfflineAfter(device)) {
+        await this.markDeviceOffline(deviceId);
+      }
+    }
+  }
+
+  /**
+   * Mark a silent device unavailable
+   */
+  async markDeviceOffline(deviceId) {
+    const device = this.devices.get(deviceId);
+    const state = this.deviceStates.get(deviceId);
+
+    state.offline = true;
+    await device.setUnavailable(`No response since ${state.lastSeen.toISOString()}`);
+    this.handleAvailabilityChange(deviceId, false);
+
+    this.app.log(`Device ${deviceId} went offline`);
+    this.emit('deviceOffline', device, deviceId, state.lastSeen);
+  }
+
+  /**
+   * Mark a device that was offline available again
+   */
+  async markDeviceOnline(deviceId) {
+    const device = this.devices.get(deviceId);
+    const state = this.deviceStates.get(deviceId);
+
+    state.offline = false;
+    await device.setAvailable();
+    this.handleAvailabilityChange(deviceId, true);
+
+    this.app.log(`Device ${deviceId} came back online`);
+    this.emit('deviceOnline', device, deviceId);
   }
 
   /**
@@ -140,7 +282,6 @@ class DeviceManager extends EventEmitter {
       const state = this.deviceStates.get(deviceId);
       if (state) {
         state.available = available;
-        state.lastSeen = new Date();
         
         this.app.log(`Device ${deviceId} availability changed to:`, available);
         this.emit('availabilityChanged', deviceId, available);
@@ -153,7 +294,7 @@ class DeviceManager extends EventEmitter {
   /**
    * Handle device errors
    */
-  handleDeviceError(deviceId, error) {
+  handleDeviceError(deviceId, error, context = null) {
     try {
       let errorHistory = this.deviceErrors.get(deviceId);
       if (!errorHistory) {
@@ -164,7 +305,8 @@ class DeviceManager extends EventEmitter {
       const errorRecord = {
         error: error.message || error,
         timestamp: new Date(),
-        type: error.constructor.name
+        type: error.constructor.name,
+        context
       };
 
       errorHistory.push(errorRecord);
@@ -181,6 +323,118 @@ class DeviceManager extends EventEmitter {
     }
   }
 
+  /**
+   * Load the statistics saved in the app settings, dropping records past the retention period
+   */
+  loadStatistics() {
+    const stored = this.app.homey.settings.get(CONFIG.STATISTICS.SETTINGS_KEY) || {};
+
+    this.storedStatistics = stored.devices || {};
+    this.statisticsSince = stored.since ? new Date(stored.since) : new Date();
+    this.statisticsLoaded = true;
+
+    for (const [deviceId, statistics] of Object.entries(this.storedStatistics)) {
+      const errors = this.applyRetention((statistics.errors || []).map(record => ({ ...record, timestamp: new Date(record.timestamp) })));
+      if (errors.length > 0) {
+        this.deviceErrors.set(deviceId, errors);
+      }
+    }
+
+    this.app.log(`Loaded statistics of ${Object.keys(this.storedStatistics).length} devices`);
+  }
+
+  /**
+   * Restore the saved statistics of a device that is being registered
+   */
+  restoreDeviceStatistics(device, deviceId) {
+    const statistics = this.storedStatistics[deviceId];
+    if (!statistics) {
+      return;
+    }
+
+    this.deviceStates.get(deviceId).interactions = statistics.interactions || 0;
+    if (typeof device.restoreCommandHistory === 'function' && statistics.commandHistory) {
+      device.restoreCommandHistory(this.applyRetention(statistics.commandHistory));
+    }
+  }
+
+  /**
+   * Drop records older than the retention period
+   */
+  applyRetention(records) {
+    const cutoff = Date.now() - CONFIG.STATISTICS.RETENTION_DAYS * 24 * 3600000;
+    return records.filter(record => new Date(record.timestamp).getTime() >= cutoff);
+  }
+
+  /**
+   * Save interactions, error history and command history of every device to the app settings
+   * Devices that did not register since the restart keep their saved statistics
+   */
+  saveStatistics() {
+    if (!this.statisticsLoaded) {
+      return;
+    }
+
+    const devices = { ...this.storedStatistics };
+    for (const [deviceId, errors] of this.deviceErrors) {
+      this.deviceErrors.set(deviceId, this.applyRetention(errors).slice(-this.config.maxErrorHistory));
+      devices[deviceId] = { ...devices[deviceId], errors: this.deviceErrors.get(deviceId) };
+    }
+
+    for (const [deviceId, state] of this.deviceStates) {
+      const device = this.devices.get(deviceId);
+      devices[deviceId] = {
+        ...devices[deviceId],
+        interactions: state.interactions,
+        errors: this.deviceErrors.get(deviceId) || [],
+        commandHistory: typeof device.getCommandHistory === 'function' ? device.getCommandHistory() : []
+      };
+    }
+
+    this.storedStatistics = devices;
+    this.app.homey.settings.set(CONFIG.STATISTICS.SETTINGS_KEY, {
+      since: this.statisticsSince.toISOString(),
+      devices
+    });
+  }
+
+  /**
+   * Save the statistics every flush interval
+   */
+  startStatisticsFlush() {
+    if (this.statisticsInterval) {
+      return;
+    }
+
+    this.statisticsInterval = this.app.homey.setInterval(() => {
+      try {
+        this.saveStatistics();
+      } catch (error) {
+        this.app.error('Saving device statistics failed:', error);
+      }
+    }, CONFIG.STATISTICS.FLUSH_INTERVAL);
+  }
+
+  /**
+   * Forget all interactions, errors and command history
+   */
+  resetStatistics() {
+    this.deviceErrors.clear();
+    this.storedStatistics = {};
+    this.statisticsSince = new Date();
+
+    for (const [deviceId, state] of this.deviceStates) {
+      state.interactions = 0;
+      const device = this.devices.get(deviceId);
+      if (typeof device.clearCommandHistory === 'function') {
+        device.clearCommandHistory();
+      }
+    }
+
+    this.saveStatistics();
+    this.app.log('Device statistics reset');
+  }
+
   /**
    * Get device state
    */
@@ -188,6 +442,26 @@ class DeviceManager extends EventEmitter {
     return this.deviceStates.get(deviceId);
   }
 
+  /**
+   * Check whether a registered device is available
+   */
+  isDeviceAvailable(deviceId) {
+    const device = this.devices.get(deviceId);
+    const state = this.deviceStates.get(deviceId);
+
+    if (!device || !state) {
+      return false;
+    }
+
+    // Homey owns availability, keep the tracked state in sync with it
+    const available = device.getAvailable();
+    if (state.available !== available) {
+      this.handleAvailabilityChange(deviceId, available);
+    }
+
+    return state.available;
+  }
+
   /**
    * Get all device states
    */
@@ -217,9 +491,24 @@ class DeviceManager extends EventEmitter {
       return null;
     }
 
+    // Errors per context (like frame_handling) or error class
+    const errorCounts = errors.reduce((counts, record) => {
+      const key = record.context || record.type;
+      counts[key] = (counts[key] || 0) + 1;
+      return counts;
+    }, {});
+
+    const device = this.devices.get(deviceId);
+    const battery = device && device.hasCapability('measure_battery')
+      ? device.getCapabilityValue('measure_battery')
+      : null;
+
     return {
       ...state,
+      battery,
+      statisticsSince: this.statisticsSince,
       totalErrors: errors.length,
+      errorCounts,
       recentErrors: errors.slice(-10), // Last 10 errors
       uptime: Date.now() - state.registeredAt.getTime()
     };
@@ -252,32 +541,56 @@ class DeviceManager extends EventEmitter {
     };
   }
 
+  /**
+   * Error history of every device, newest first
+   */
+  getErrorLog(limit = CONFIG.API.MAX_ERROR_LOG) {
+    const log = [];
+    for (const [deviceId, errors] of this.deviceErrors) {
+      const state = this.deviceStates.get(deviceId);
+      errors.forEach(record => log.push({ deviceId, name: state ? state.name : null, ...record }));
+    }
+
+    return log
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, limit);
+  }
+
+  /**
+   * Whether a command may be executed on a device from outside the app
+   */
+  isCommandAllowed(device, command) {
+    const allowed = CONFIG.API.COMMANDS[device.getDriver().id] || [];
+    return allowed.includes(command) && typeof device[command] === 'function';
+  }
+
   /**
    * Execute command on device with retry logic
+   * Only the commands allowed for the device's driver can be executed
    */
   async executeDeviceCommand(deviceId, command, ...args) {
     const device = this.devices.get(deviceId);
     if (!device) {
-      throw new Error(`Device ${deviceId} not found`);
+      throw new DeviceError(CONFIG.ERROR_CODES.DEVICE_NOT_FOUND, `Device ${deviceId} not found`, deviceId);
+    }
+
+    if (!this.isCommandAllowed(device, command)) {
+      throw new DeviceError(CONFIG.ERROR_CODES.INVALID_COMMAND, `Command ${command} is not allowed on device ${deviceId}`, deviceId, { command });
     }
 
     let lastError;
     for (let attempt = 0; attempt < this.config.retryAttempts; attempt++) {
       try {
-        if (typeof device[command] === 'function') {
-          const result = await device[command](...args);
-          
-          // Update last seen timestamp on successful command
-          const state = this.deviceStates.get(deviceId);
-          if (state) {
-            state.lastSeen = new Date();
-            state.interactions++;
-          }
-
-          return result;
-        } else {
-          throw new Error(`Command ${command} not found on device ${deviceId}`);
+        const result = await device[command](...args);
+
+        // Update last seen timestamp on successful command
+        const state = this.deviceStates.get(deviceId);
+        if (state) {
+          state.lastSeen = new Date();
+          state.interactions++;
         }
+
+        return result;
       } catch (error) {
         lastError = error;
         this.handleDeviceError(deviceId, error);
@@ -295,6 +608,13 @@ class DeviceManager extends EventEmitter {
    * Clean up resources
    */
   destroy() {
+    this.stopHealthMonitor();
+    if (this.statisticsInterval) {
+      this.app.homey.clearInterval(this.statisticsInterval);
+      this.statisticsInterval = null;
+    }
+    this.saveStatistics();
+
     this.devices.clear();
     this.deviceStates.clear();
     this.deviceErrors.clear();
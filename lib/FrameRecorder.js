@@ -0,0 +1,62 @@
+const { CONFIG } = require('./Config');
+
+/**
+ * Ring buffer of raw frames received by a device
+ * Entries are plain objects so the buffer can be kept in the device store
+ */
+class FrameRecorder {
+
+  constructor({ size = CONFIG.LEARNING.BUFFER_SIZE, frames = [] } = {}) {
+    this.size = size;
+    this.frames = frames.slice(-size);
+    this.nextId = this.frames.reduce((max, frame) => Math.max(max, frame.id), 0) + 1;
+  }
+
+  /**
+   * Record a frame, dropping the oldest one when the buffer is full
+   */
+  record({
+    endpointId, clusterId, frame, zclFrame = null, button = null
+  }) {
+    const entry = {
+      id: this.nextId++,
+      timestamp: new Date().toISOString(),
+      endpointId,
+      clusterId,
+      commandId: zclFrame ? zclFrame.commandId : null,
+      clusterSpecific: zclFrame ? zclFrame.clusterSpecific : false,
+      frame: frame.toString('hex'),
+      payload: zclFrame ? zclFrame.payload.toString('hex') : null,
+      button
+    };
+
+    this.frames.push(entry);
+    if (this.frames.length > this.size) {
+      this.frames.shift();
+    }
+    return entry;
+  }
+
+  /**
+   * Get recorded frames, newest first
+   */
+  getFrames() {
+    return this.frames.slice().reverse();
+  }
+
+  /**
+   * Get a recorded frame by id
+   */
+  getFrame(id) {
+    return this.frames.find(frame => frame.id === id) || null;
+  }
+
+  /**
+   * Drop all recorded frames
+   */
+  clear() {
+    this.frames = [];
+  }
+}
+
+module.exports = FrameRecorder;
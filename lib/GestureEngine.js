@@ -0,0 +1,228 @@
+const EventEmitter = require('events');
+const { CONFIG } = require('./Config');
+
+/**
+ * Gesture engine for remote buttons
+ * Turns decoded press / hold / release events into short_press,
+ * long_press_start, hold_repeat and long_press_release gestures, and
+ * aggregates repeated short presses into multi_click gestures
+ */
+class GestureEngine extends EventEmitter {
+
+  constructor(options = {}) {
+    super();
+
+    // Timer provider, devices pass their homey instance so timers are cleared on unload
+    this.timers = options.timers || {
+      setTimeout, clearTimeout, setInterval, clearInterval
+    };
+
+    this.held = null;
+    this.clicks = new Map();
+    this.setThresholds(options);
+  }
+
+  /**
+   * Update gesture thresholds (in milliseconds)
+   * A click window of 0 disables multi-click detection
+   */
+  setThresholds({
+    longPressThreshold, holdRepeatInterval, maxHoldDuration, clickWindow
+  } = {}) {
+    this.longPressThreshold = longPressThreshold || CONFIG.GESTURES.LONG_PRESS_THRESHOLD;
+    this.holdRepeatInterval = holdRepeatInterval || CONFIG.GESTURES.HOLD_REPEAT_INTERVAL;
+    this.maxHoldDuration = maxHoldDuration || CONFIG.GESTURES.MAX_HOLD_DURATION;
+    this.clickWindow = clickWindow || 0;
+
+    if (!this.clickWindow) {
+      this.flushClicks();
+    }
+  }
+
+  /**
+   * Handle a single press frame
+   */
+  press(button, data = {}) {
+    // A new press means any ongoing hold has ended, even if its stop frame was lost
+    this.release();
+    this.registerClick(button, data);
+  }
+
+  /**
+   * Handle a hold (move) frame
+   */
+  hold(button, data = {}) {
+    if (this.held && this.held.button === button) {
+      // Remotes may repeat the move frame while the button stays down
+      this.restartHoldTimeout();
+      return;
+    }
+
+    this.release();
+    this.flushClicks();
+
+    this.held = {
+      button,
+      data,
+      startedAt: Date.now(),
+      longPress: false,
+      repeats: 0,
+      thresholdTimer: null,
+      repeatTimer: null,
+      holdTimeout: null
+    };
+
+    this.held.thresholdTimer = this.timers.setTimeout(() => this.startLongPress(), this.longPressThreshold);
+    this.restartHoldTimeout();
+  }
+
+  /**
+   * Handle a release (stop) frame
+   */
+  release() {
+    const { held } = this;
+    if (!held) {
+      return;
+    }
+
+    this.clearHoldTimers();
+    this.held = null;
+
+    if (held.longPress) {
+      this.emitGesture('long_press_release', held.button, {
+        duration: Date.now() - held.startedAt,
+        repeat: held.repeats
+      });
+    } else {
+      // Released before the threshold, so it was a short press after all
+      this.registerClick(held.button, held.data);
+    }
+  }
+
+  /**
+   * Count a short press, emitting it directly when multi-click is disabled
+   */
+  registerClick(button, data) {
+    if (!this.clickWindow) {
+      this.emitGesture('short_press', button, { data });
+      return;
+    }
+
+    // Pressing another button ends the click sequence of the previous one
+    for (const pendingButton of this.clicks.keys()) {
+      if (pendingButton !== button) {
+        this.flushClicks(pendingButton);
+      }
+    }
+
+    const pending = this.clicks.get(button) || { count: 0, data, timer: null };
+    if (pending.timer) {
+      this.timers.clearTimeout(pending.timer);
+    }
+
+    pending.count++;
+    pending.timer = this.timers.setTimeout(() => this.flushClicks(button), this.clickWindow);
+    this.clicks.set(button, pending);
+  }
+
+  /**
+   * Emit the pending click sequence of a button (or of all buttons)
+   */
+  flushClicks(button) {
+    const buttons = button ? [button] : Array.from(this.clicks.keys());
+
+    buttons.forEach((pendingButton) => {
+      const pending = this.clicks.get(pendingButton);
+      if (!pending) {
+        return;
+      }
+
+      this.timers.clearTimeout(pending.timer);
+      this.clicks.delete(pendingButton);
+
+      if (pending.count === 1) {
+        this.emitGesture('short_press', pendingButton, { data: pending.data });
+      } else {
+        this.emitGesture('multi_click', pendingButton, { data: pending.data, clicks: pending.count });
+      }
+    });
+  }
+
+  /**
+   * Promote the held button to a long press and start repeating
+   */
+  startLongPress() {
+    const { held } = this;
+    if (!held) {
+      return;
+    }
+
+    held.thresholdTimer = null;
+    held.longPress = true;
+    this.emitGesture('long_press_start', held.button, { data: held.data });
+
+    held.repeatTimer = this.timers.setInterval(() => {
+      held.repeats++;
+      this.emitGesture('hold_repeat', held.button, {
+        duration: Date.now() - held.startedAt,
+        repeat: held.repeats
+      });
+    }, this.holdRepeatInterval);
+  }
+
+  /**
+   * Release the held button automatically if no stop frame arrives
+   * Repeated hold frames restart the timeout, so it only ends holds that went silent
+   */
+  restartHoldTimeout() {
+    if (this.held.holdTimeout) {
+      this.timers.clearTimeout(this.held.holdTimeout);
+    }
+    this.held.holdTimeout = this.timers.setTimeout(() => this.release(), this.maxHoldDuration);
+  }
+
+  /**
+   * Clear all timers of the held button
+   */
+  clearHoldTimers() {
+    if (this.held.thresholdTimer) {
+      this.timers.clearTimeout(this.held.thresholdTimer);
+    }
+    if (this.held.repeatTimer) {
+      this.timers.clearInterval(this.held.repeatTimer);
+    }
+    if (this.held.holdTimeout) {
+      this.timers.clearTimeout(this.held.holdTimeout);
+    }
+  }
+
+  /**
+   * Emit a gesture event
+   */
+  emitGesture(gesture, button, details = {}) {
+    this.emit('gesture', {
+      gesture,
+      button,
+      duration: 0,
+      repeat: 0,
+      clicks: 1,
+      data: {},
+      ...details
+    });
+  }
+
+  /**
+   * Clean up timers and listeners
+   */
+  destroy() {
+    if (this.held) {
+      this.clearHoldTimers();
+      this.held = null;
+    }
+    this.clicks.forEach((pending) => this.timers.clearTimeout(pending.timer));
+    this.clicks.clear();
+    this.removeAllListeners();
+  }
+}
+
+module.exports = GestureEngine;
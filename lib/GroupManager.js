@@ -0,0 +1,233 @@
+const { CONFIG, LexmanError, Utils } = require('./Config');
+
+/**
+ * Group Manager
+ * Keeps Zigbee group definitions for ZBEK-4 bulbs in app storage and writes
+ * group membership to the bulbs through their Groups cluster
+ *
+ * Homey's Zigbee API only sends frames to a single node, so commands for a
+ * group are fanned out to every member in parallel instead of being sent as
+ * one group-addressed frame.
+ */
+class GroupManager {
+
+  constructor(app) {
+    this.app = app;
+    this.homey = app.homey;
+    this.groups = this.homey.settings.get(CONFIG.GROUPS.SETTINGS_KEY) || {};
+
+    this.app.log('GroupManager initialized');
+  }
+
+  /**
+   * Persist group definitions
+   */
+  save() {
+    this.homey.settings.set(CONFIG.GROUPS.SETTINGS_KEY, this.groups);
+  }
+
+  /**
+   * Get all groups
+   */
+  getGroups() {
+    return Object.values(this.groups);
+  }
+
+  /**
+   * Get a group by id
+   */
+  getGroup(groupId) {
+    const group = this.groups[groupId];
+    if (!group) {
+      throw new LexmanError(CONFIG.ERROR_CODES.GROUP_NOT_FOUND, `Group ${groupId} not found`, { groupId });
+    }
+    return group;
+  }
+
+  /**
+   * Find the lowest free group id
+   */
+  allocateGroupId() {
+    for (let groupId = CONFIG.GROUPS.FIRST_ID; groupId <= CONFIG.GROUPS.LAST_ID; groupId++) {
+      if (!this.groups[groupId]) {
+        return groupId;
+      }
+    }
+    throw new LexmanError(CONFIG.ERROR_CODES.SYSTEM_ERROR, 'No free group id left');
+  }
+
+  /**
+   * Create a group and add the given bulbs to it
+   * The group is only saved once every bulb joined, on failure the bulbs that joined are removed again
+   */
+  async createGroup(name, deviceIds = []) {
+    const bulbs = deviceIds.map(deviceId => this.getBulb(deviceId));
+    const groupId = this.allocateGroupId();
+    const group = { id: groupId, name, members: [] };
+
+    // Reserves the id while the bulbs are written
+    this.groups[groupId] = group;
+
+    try {
+      for (const bulb of bulbs) {
+        await Utils.retry(() => bulb.addToGroup(groupId, name));
+        group.members.push(bulb.getData().id);
+        this.app.log(`Added ${bulb.getName()} to group ${groupId}`);
+      }
+    } catch (error) {
+      const added = bulbs.filter(bulb => group.members.includes(bulb.getData().id));
+      const results = await Promise.allSettled(added.map(bulb => bulb.removeFromGroup(groupId)));
+      results
+        .filter(result => result.status === 'rejected')
+        .forEach(failure => this.app.error(`Could not remove a bulb from abandoned group ${groupId}:`, failure.reason));
+
+      delete this.groups[groupId];
+      throw error;
+    }
+
+    this.save();
+    this.app.log(`Group created: ${groupId} (${name})`);
+    return group;
+  }
+
+  /**
+   * Rename a group and update the name stored on its members
+   */
+  async renameGroup(groupId, name) {
+    const group = this.getGroup(groupId);
+    group.name = name;
+    this.save();
+
+    await this.forEachMember(groupId, bulb => bulb.addToGroup(groupId, name));
+    this.app.log(`Group renamed: ${groupId} (${name})`);
+  }
+
+  /**
+   * Delete a group and remove its members from it
+   */
+  async deleteGroup(groupId) {
+    await this.forEachMember(groupId, bulb => bulb.removeFromGroup(groupId));
+
+    delete this.groups[groupId];
+    this.save();
+    this.app.log(`Group deleted: ${groupId}`);
+  }
+
+  /**
+   * Add a bulb to a group
+   */
+  async addMember(groupId, bulb) {
+    const group = this.getGroup(groupId);
+    const deviceId = bulb.getData().id;
+
+    await Utils.retry(() => bulb.addToGroup(groupId, group.name));
+
+    if (!group.members.includes(deviceId)) {
+      group.members.push(deviceId);
+      this.save();
+    }
+
+    this.app.log(`Added ${bulb.getName()} to group ${groupId}`);
+  }
+
+  /**
+   * Remove a bulb from a group
+   */
+  async removeMember(groupId, bulb) {
+    const group = this.getGroup(groupId);
+    const deviceId = bulb.getData().id;
+
+    await Utils.retry(() => bulb.removeFromGroup(groupId));
+
+    group.members = group.members.filter(memberId => memberId !== deviceId);
+    this.save();
+
+    this.app.log(`Removed ${bulb.getName()} from group ${groupId}`);
+  }
+
+  /**
+   * Forget a deleted bulb in every group
+   */
+  forgetDevice(deviceId) {
+    let changed = false;
+    for (const group of this.getGroups()) {
+      if (group.members.includes(deviceId)) {
+        group.members = group.members.filter(memberId => memberId !== deviceId);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      this.save();
+    }
+  }
+
+  /**
+   * Get the ZBEK-4 bulbs paired with Homey
+   */
+  getBulbs() {
+    return this.homey.drivers.getDriver(CONFIG.GROUPS.MEMBER_DRIVER).getDevices();
+  }
+
+  /**
+   * Get a paired bulb by device id
+   */
+  getBulb(deviceId) {
+    const bulb = this.getBulbs().find(device => device.getData().id === deviceId);
+    if (!bulb) {
+      throw new LexmanError(CONFIG.ERROR_CODES.DEVICE_NOT_FOUND, `Bulb ${deviceId} not found`, { deviceId });
+    }
+    return bulb;
+  }
+
+  /**
+   * Get the member bulbs of a group that are still paired
+   */
+  getMemberDevices(groupId) {
+    const { members } = this.getGroup(groupId);
+    return this.getBulbs().filter(device => members.includes(device.getData().id));
+  }
+
+  /**
+   * Run a command on every member of a group in parallel
+   * Resolves when all members are done, rejects if every member failed
+   */
+  async forEachMember(groupId, command) {
+    const members = this.getMemberDevices(groupId);
+    const results = await Promise.allSettled(members.map(bulb => command(bulb)));
+
+    const failures = results.filter(result => result.status === 'rejected');
+    failures.forEach(failure => this.app.error(`Group ${groupId} member command failed:`, failure.reason));
+
+    if (members.length > 0 && failures.length === members.length) {
+      throw new LexmanError(CONFIG.ERROR_CODES.DEVICE_UNREACHABLE, `No member of group ${groupId} responded`, { groupId });
+    }
+
+    return results;
+  }
+
+  /**
+   * Store the current state of every member as a scene of the group
+   */
+  async storeScene(groupId, sceneId) {
+    await this.forEachMember(groupId, bulb => bulb.storeScene(sceneId, groupId));
+    this.app.log(`Group ${groupId} scene ${sceneId} stored`);
+  }
+
+  /**
+   * Recall a scene of the group on every member
+   */
+  async recallScene(groupId, sceneId) {
+    await this.forEachMember(groupId, bulb => bulb.recallScene(sceneId, groupId));
+    this.app.log(`Group ${groupId} scene ${sceneId} recalled`);
+  }
+
+  /**
+   * Set a capability value on every member of a group
+   */
+  async setGroupValue(groupId, capability, value, opts = {}) {
+    return this.forEachMember(groupId, bulb => bulb.applyGroupValue(capability, value, opts));
+  }
+}
+
+module.exports = GroupManager;
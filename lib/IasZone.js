@@ -0,0 +1,39 @@
+const { CONFIG } = require('./Config');
+
+/**
+ * IAS Zone handling shared by the battery powered alarm sensors
+ */
+const IasZone = {
+  /**
+   * Follow a sensor's zone status from notifications and attribute reports, and answer enrol requests
+   * @param {object} cluster - IAS Zone cluster of the sensor
+   * @param {object} handlers
+   * @param {Function} handlers.onStatus - Called with the zone status bitmap
+   * @param {Function} handlers.onEnrollRequest - Called when the sensor asks to be enrolled
+   */
+  listen(cluster, { onStatus, onEnrollRequest }) {
+    cluster.onZoneStatusChangeNotification = ({ zoneStatus }) => onStatus(zoneStatus);
+    cluster.onZoneEnrollRequest = () => onEnrollRequest();
+    cluster.on('attr.zoneStatus', zoneStatus => onStatus(zoneStatus));
+  },
+
+  /**
+   * Enrol a sensor's zone with Homey as the alarm system (CIE)
+   * The response is also sent without waiting for a request, as many sensors never send one
+   * @returns {Promise<{enrolled: boolean, zoneStatus: object|undefined}>}
+   */
+  async enroll(homey, cluster) {
+    const { ieeeAddress } = await homey.zigbee.getNetwork();
+
+    await cluster.writeAttributes({ iasCIEAddress: ieeeAddress });
+    await cluster.zoneEnrollResponse({
+      enrollResponseCode: 'success',
+      zoneId: CONFIG.SENSOR.IAS_ZONE_ID
+    });
+
+    const { zoneState, zoneStatus } = await cluster.readAttributes(['zoneState', 'zoneStatus']);
+    return { enrolled: zoneState === 'enrolled', zoneStatus };
+  }
+};
+
+module.exports = IasZone;
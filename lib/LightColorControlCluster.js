@@ -0,0 +1,58 @@
+const { ColorControlCluster, ZCLDataTypes } = require('zigbee-clusters');
+
+/**
+ * ColorControl cluster with the ZLL / ZCL 7 start-up attributes, colour loop and
+ * colour temperature step commands of colour bulbs
+ */
+class LightColorControlCluster extends ColorControlCluster {
+  static get ATTRIBUTES() {
+    return {
+      ...super.ATTRIBUTES,
+      // 0xffff restores the previous colour temperature
+      startUpColorTemperatureMireds: {
+        id: 0x4010,
+        type: ZCLDataTypes.uint16
+      }
+    };
+  }
+
+  static get COMMANDS() {
+    return {
+      ...super.COMMANDS,
+      // Only the fields flagged in updateFlags are applied, time is seconds per loop
+      colorLoopSet: {
+        id: 0x44,
+        args: {
+          updateFlags: ZCLDataTypes.map8('action', 'direction', 'time', 'startHue'),
+          action: ZCLDataTypes.enum8({
+            deactivate: 0x00,
+            activateFromStart: 0x01,
+            activateFromCurrent: 0x02
+          }),
+          direction: ZCLDataTypes.enum8({
+            decrement: 0x00,
+            increment: 0x01
+          }),
+          time: ZCLDataTypes.uint16,
+          startHue: ZCLDataTypes.uint16
+        }
+      },
+      // Up increases the mireds value (warmer), min / max of 0 mean the physical limits
+      stepColorTemperature: {
+        id: 0x4c,
+        args: {
+          stepMode: ZCLDataTypes.enum8({
+            up: 0x01,
+            down: 0x03
+          }),
+          stepSize: ZCLDataTypes.uint16,
+          transitionTime: ZCLDataTypes.uint16,
+          colorTemperatureMinimumMireds: ZCLDataTypes.uint16,
+          colorTemperatureMaximumMireds: ZCLDataTypes.uint16
+        }
+      }
+    };
+  }
+}
+
+module.exports = LightColorControlCluster;
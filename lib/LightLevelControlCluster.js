@@ -0,0 +1,19 @@
+const { LevelControlCluster, ZCLDataTypes } = require('zigbee-clusters');
+
+/**
+ * LevelControl cluster with the ZLL / ZCL 7 start-up attributes of dimmable bulbs
+ */
+class LightLevelControlCluster extends LevelControlCluster {
+  static get ATTRIBUTES() {
+    return {
+      ...super.ATTRIBUTES,
+      // 0x00 is the minimum level, 0xff restores the previous level
+      startUpCurrentLevel: {
+        id: 0x4000,
+        type: ZCLDataTypes.uint8
+      }
+    };
+  }
+}
+
+module.exports = LightLevelControlCluster;
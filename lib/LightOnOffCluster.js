@@ -0,0 +1,28 @@
+const { OnOffCluster, ZCLDataTypes } = require('zigbee-clusters');
+
+/**
+ * OnOff cluster with the ZLL / ZCL 7 start-up attributes of dimmable bulbs
+ * zigbee-clusters only keeps one OnOff cluster per app, the smart plugs extend it in PlugOnOffCluster
+ */
+class LightOnOffCluster extends OnOffCluster {
+  static get ATTRIBUTES() {
+    return {
+      ...super.ATTRIBUTES,
+      globalSceneControl: {
+        id: 0x4000,
+        type: ZCLDataTypes.bool
+      },
+      startUpOnOff: {
+        id: 0x4003,
+        type: ZCLDataTypes.enum8({
+          off: 0x00,
+          on: 0x01,
+          toggle: 0x02,
+          previous: 0xff
+        })
+      }
+    };
+  }
+}
+
+module.exports = LightOnOffCluster;
@@ -0,0 +1,52 @@
+const { CONFIG, LexmanError } = require('./Config');
+
+// "brightness[%][@kelvin[K]]", for example "50@2700" or "100%"
+const PRESET_PATTERN = /^(\d{1,3})%?(?:\s*@\s*(\d{4,5})k?)?$/i;
+
+/**
+ * Light presets saved in a bulb's settings as a comma separated list
+ */
+const LightPresets = {
+  /**
+   * Parse a preset list, throws on the first invalid entry
+   * @returns {Array<{dim: number, temperature: number|null}>} dim 0 - 1, temperature in kelvin
+   */
+  parse(text) {
+    if (!text || !text.trim()) {
+      return [];
+    }
+
+    const entries = text.split(/[,\n]/).map(entry => entry.trim()).filter(Boolean);
+    if (entries.length > CONFIG.LIGHT.MAX_PRESETS) {
+      throw new LexmanError(CONFIG.ERROR_CODES.INVALID_VALUE, `At most ${CONFIG.LIGHT.MAX_PRESETS} presets are supported`);
+    }
+
+    return entries.map((entry, index) => {
+      const match = entry.match(PRESET_PATTERN);
+      if (!match) {
+        throw new LexmanError(CONFIG.ERROR_CODES.INVALID_VALUE, `Preset ${index + 1}: expected brightness[@kelvin], got "${entry}"`);
+      }
+
+      const brightness = Number(match[1]);
+      if (brightness < 1 || brightness > 100) {
+        throw new LexmanError(CONFIG.ERROR_CODES.INVALID_VALUE, `Preset ${index + 1}: brightness must be between 1 and 100%`);
+      }
+
+      return {
+        dim: brightness / 100,
+        temperature: match[2] ? Number(match[2]) : null
+      };
+    });
+  },
+
+  /**
+   * Format presets back to their setting text
+   */
+  format(presets) {
+    return presets
+      .map(({ dim, temperature }) => `${Math.round(dim * 100)}${temperature ? `@${temperature}` : ''}`)
+      .join(', ');
+  }
+};
+
+module.exports = LightPresets;
@@ -0,0 +1,110 @@
+const { ScenesCluster, ZCLDataTypes } = require('zigbee-clusters');
+
+const SCENE_ARGS = {
+  groupId: ZCLDataTypes.uint16,
+  sceneId: ZCLDataTypes.uint8
+};
+
+const SCENE_RESPONSE_ARGS = {
+  status: ZCLDataTypes.enum8Status,
+  ...SCENE_ARGS
+};
+
+/**
+ * Scenes cluster commands, zigbee-clusters only declares the cluster itself
+ * Fields that are left out of failed responses are kept as raw buffers, so a
+ * failure can still be parsed
+ */
+class LightScenesCluster extends ScenesCluster {
+  static get ATTRIBUTES() {
+    return {
+      ...super.ATTRIBUTES,
+      sceneCount: { id: 0x0000, type: ZCLDataTypes.uint8 },
+      currentScene: { id: 0x0001, type: ZCLDataTypes.uint8 },
+      currentGroup: { id: 0x0002, type: ZCLDataTypes.uint16 },
+      sceneValid: { id: 0x0003, type: ZCLDataTypes.bool }
+    };
+  }
+
+  static get COMMANDS() {
+    return {
+      ...super.COMMANDS,
+      addScene: {
+        id: 0x00,
+        args: {
+          ...SCENE_ARGS,
+          transitionTime: ZCLDataTypes.uint16,
+          sceneName: ZCLDataTypes.string,
+          extensionFieldSets: ZCLDataTypes.buffer
+        },
+        response: {
+          id: 0x00,
+          args: SCENE_RESPONSE_ARGS
+        }
+      },
+      viewScene: {
+        id: 0x01,
+        args: SCENE_ARGS,
+        response: {
+          id: 0x01,
+          args: {
+            ...SCENE_RESPONSE_ARGS,
+            // transitionTime, sceneName and extensionFieldSets on success
+            details: ZCLDataTypes.buffer
+          }
+        }
+      },
+      removeScene: {
+        id: 0x02,
+        args: SCENE_ARGS,
+        response: {
+          id: 0x02,
+          args: SCENE_RESPONSE_ARGS
+        }
+      },
+      removeAllScenes: {
+        id: 0x03,
+        args: {
+          groupId: ZCLDataTypes.uint16
+        },
+        response: {
+          id: 0x03,
+          args: {
+            status: ZCLDataTypes.enum8Status,
+            groupId: ZCLDataTypes.uint16
+          }
+        }
+      },
+      storeScene: {
+        id: 0x04,
+        args: SCENE_ARGS,
+        response: {
+          id: 0x04,
+          args: SCENE_RESPONSE_ARGS
+        }
+      },
+      recallScene: {
+        id: 0x05,
+        args: SCENE_ARGS
+      },
+      getSceneMembership: {
+        id: 0x06,
+        args: {
+          groupId: ZCLDataTypes.uint16
+        },
+        response: {
+          id: 0x06,
+          args: {
+            status: ZCLDataTypes.enum8Status,
+            capacity: ZCLDataTypes.uint8,
+            groupId: ZCLDataTypes.uint16,
+            // Scene count followed by the scene ids on success
+            sceneList: ZCLDataTypes.buffer
+          }
+        }
+      }
+    };
+  }
+}
+
+module.exports = LightScenesCluster;
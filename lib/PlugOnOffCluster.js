@@ -0,0 +1,21 @@
+const { ZCLDataTypes } = require('zigbee-clusters');
+const LightOnOffCluster = require('./LightOnOffCluster');
+
+/**
+ * OnOff cluster of the smart plugs, with their vendor child lock attribute
+ * Not registered for the app, the plug puts it on its own endpoint so the bulbs do not get the attribute
+ */
+class PlugOnOffCluster extends LightOnOffCluster {
+  static get ATTRIBUTES() {
+    return {
+      ...super.ATTRIBUTES,
+      // Disables the button on the plug
+      childLock: {
+        id: 0x8000,
+        type: ZCLDataTypes.bool
+      }
+    };
+  }
+}
+
+module.exports = PlugOnOffCluster;
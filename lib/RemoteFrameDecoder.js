@@ -0,0 +1,229 @@
+const { CONFIG, LexmanError, ZigBeeError } = require('./Config');
+
+// ZCL frame control bits
+const FRAME_CONTROL = {
+  CLUSTER_SPECIFIC: 0x01,
+  MANUFACTURER_SPECIFIC: 0x04
+};
+
+// Event types a user mapping can produce
+const MAPPING_TYPES = ['press', 'hold', 'release'];
+
+/**
+ * Table-driven decoder for ZBEK-26 remote frames
+ * Turns a cluster id, command id and ZCL payload into a button event. The
+ * user's mapping table is consulted first, then the declarative
+ * CONFIG.BUTTON_MAPPING.ZBEK26.FRAMES table, then the buttons the user
+ * labelled in learning mode
+ */
+class RemoteFrameDecoder {
+
+  constructor(frames = CONFIG.BUTTON_MAPPING.ZBEK26.FRAMES, customButtons = []) {
+    this.frames = frames;
+    this.mappings = [];
+    this.setCustomButtons(customButtons);
+  }
+
+  /**
+   * Set the user's mapping table (entries as returned by parseMappings)
+   */
+  setMappings(mappings = []) {
+    this.mappings = mappings;
+  }
+
+  /**
+   * Set the user labelled buttons ({ id, clusterId, commandId, payload: hex })
+   */
+  setCustomButtons(customButtons = []) {
+    this.customFrames = customButtons.map(button => ({
+      clusterId: button.clusterId,
+      commandId: button.commandId,
+      payload: Array.from(Buffer.from(button.payload || '', 'hex')),
+      button: button.id,
+      custom: true
+    }));
+  }
+
+  /**
+   * Split a raw ZCL frame into its header fields and payload
+   */
+  static parseZclFrame(frame) {
+    if (!Buffer.isBuffer(frame) || frame.length < 3) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.INVALID_VALUE, 'Invalid ZCL frame');
+    }
+
+    const frameControl = frame[0];
+    const manufacturerSpecific = (frameControl & FRAME_CONTROL.MANUFACTURER_SPECIFIC) !== 0;
+    const headerLength = manufacturerSpecific ? 5 : 3;
+
+    if (frame.length < headerLength) {
+      throw new ZigBeeError(CONFIG.ERROR_CODES.INVALID_VALUE, 'Truncated ZCL frame header');
+    }
+
+    return {
+      frameControl,
+      clusterSpecific: (frameControl & FRAME_CONTROL.CLUSTER_SPECIFIC) !== 0,
+      manufacturerSpecific,
+      manufacturerCode: manufacturerSpecific ? frame.readUInt16LE(1) : null,
+      transactionSequenceNumber: frame[headerLength - 2],
+      commandId: frame[headerLength - 1],
+      payload: frame.slice(headerLength)
+    };
+  }
+
+  /**
+   * Decode a raw ZCL frame received on the given cluster
+   */
+  decodeFrame(clusterId, frame) {
+    const zclFrame = RemoteFrameDecoder.parseZclFrame(frame);
+
+    // Global commands (read attributes, default response, ...) are never button presses
+    if (!zclFrame.clusterSpecific) {
+      return null;
+    }
+
+    return this.decode(clusterId, zclFrame.commandId, zclFrame.payload);
+  }
+
+  /**
+   * Decode a cluster-specific command into a button event
+   */
+  decode(clusterId, commandId, payload = Buffer.alloc(0)) {
+    const entry = RemoteFrameDecoder.findEntry(this.mappings, clusterId, commandId, payload)
+      || RemoteFrameDecoder.findEntry(this.frames, clusterId, commandId, payload)
+      || RemoteFrameDecoder.findEntry(this.customFrames, clusterId, commandId, payload);
+
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      type: entry.type || 'press',
+      button: entry.button || null,
+      // Custom buttons have no pressed_* card of their own
+      triggerId: entry.button && !entry.custom ? `pressed_${entry.button}` : null,
+      custom: Boolean(entry.custom),
+      scene: entry.scene || null,
+      clusterId,
+      commandId,
+      payload: Buffer.from(payload).toString('hex')
+    };
+  }
+
+  /**
+   * Find the first table entry matching a command
+   */
+  static findEntry(frames, clusterId, commandId, payload) {
+    return frames.find(candidate => candidate.clusterId === clusterId
+      && candidate.commandId === commandId
+      && RemoteFrameDecoder.matchesPayload(candidate.payload, payload));
+  }
+
+  /**
+   * Check a payload against a byte prefix pattern (null matches any byte)
+   */
+  static matchesPayload(pattern, payload) {
+    if (!pattern) {
+      return true;
+    }
+
+    if (payload.length < pattern.length) {
+      return false;
+    }
+
+    return pattern.every((byte, index) => byte === null || payload[index] === byte);
+  }
+
+  /**
+   * Parse a JSON mapping table into decoder entries
+   * Each mapping is { clusterId, commandId, payload, button, type } where the
+   * payload is a hex prefix in which ?? matches any byte
+   */
+  static parseMappings(json) {
+    if (!json || !json.trim()) {
+      return [];
+    }
+
+    let mappings;
+    try {
+      mappings = JSON.parse(json);
+    } catch (error) {
+      throw new LexmanError(CONFIG.ERROR_CODES.INVALID_VALUE, `Button mappings are not valid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(mappings)) {
+      throw new LexmanError(CONFIG.ERROR_CODES.INVALID_VALUE, 'Button mappings must be a JSON array');
+    }
+
+    return mappings.map((mapping, index) => RemoteFrameDecoder.parseMapping(mapping, index));
+  }
+
+  /**
+   * Validate a single mapping and convert it to a decoder entry
+   */
+  static parseMapping(mapping, index) {
+    const fail = (reason) => {
+      throw new LexmanError(CONFIG.ERROR_CODES.INVALID_VALUE, `Button mapping ${index + 1}: ${reason}`, { mapping });
+    };
+
+    if (!mapping || typeof mapping !== 'object') {
+      fail('must be an object');
+    }
+
+    const {
+      clusterId, commandId, payload = '', button = null, type = 'press'
+    } = mapping;
+
+    if (!Number.isInteger(clusterId) || clusterId < 0 || clusterId > 0xffff) {
+      fail('clusterId must be a number between 0 and 65535');
+    }
+    if (!Number.isInteger(commandId) || commandId < 0 || commandId > 0xff) {
+      fail('commandId must be a number between 0 and 255');
+    }
+    if (typeof payload !== 'string' || !/^([0-9a-f]{2}|\?\?)*$/i.test(payload)) {
+      fail('payload must be a hex string, ?? matches any byte');
+    }
+    if (!MAPPING_TYPES.includes(type)) {
+      fail(`type must be one of ${MAPPING_TYPES.join(', ')}`);
+    }
+    if (type !== 'release' && !CONFIG.BUTTON_MAPPING.ZBEK26.BUTTONS.includes(button)) {
+      fail(`button must be one of ${CONFIG.BUTTON_MAPPING.ZBEK26.BUTTONS.join(', ')}`);
+    }
+
+    const entry = {
+      clusterId,
+      commandId,
+      payload: (payload.match(/.{2}/g) || []).map(byte => (byte === '??' ? null : parseInt(byte, 16))),
+      type
+    };
+
+    if (type !== 'release') {
+      entry.button = button;
+      const scene = /^scene_(\d)$/.exec(button);
+      if (scene) {
+        entry.scene = Number(scene[1]);
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Format decoder entries as a JSON mapping table
+   */
+  static formatMappings(entries) {
+    const mappings = entries.map(entry => ({
+      clusterId: entry.clusterId,
+      commandId: entry.commandId,
+      payload: (entry.payload || [])
+        .map(byte => (byte === null ? '??' : byte.toString(16).padStart(2, '0')))
+        .join(''),
+      ...(entry.button ? { button: entry.button } : {}),
+      type: entry.type || 'press'
+    }));
+
+    return JSON.stringify(mappings, null, 2);
+  }
+}
+
+module.exports = RemoteFrameDecoder;
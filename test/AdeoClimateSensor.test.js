@@ -0,0 +1,111 @@
+const {
+  describe, it, beforeEach, afterEach
+} = require('node:test');
+const assert = require('node:assert');
+const {
+  createApp, createDevice, attributeResponse, settle
+} = require('./harness');
+
+const driver = 'LDSENK07';
+const { zigbee } = require(`../drivers/${driver}/driver.compose.json`);
+
+// 21.5°C and 45.2% humidity, a full battery on the ZCL 0-200 scale
+const ATTRIBUTES = {
+  1: {
+    0x0021: '20c8'
+  },
+  1026: {
+    0x0000: '296608'
+  },
+  1029: {
+    0x0000: '21a811'
+  }
+};
+
+/**
+ * Reporting configurations of the measurement clusters the sensor was sent, per cluster
+ */
+function sentReportingConfigurations(node) {
+  return node.sentFrames
+    .filter(({ clusterId, frame }) => clusterId !== 1 && (frame[0] & 0x03) === 0x00 && frame[2] === 0x06)
+    .map(({ clusterId, frame }) => ({ clusterId, payload: frame.subarray(3).toString('hex') }));
+}
+
+describe('AdeoClimateSensor', () => {
+  let homey;
+  let device;
+  let node;
+
+  beforeEach(async () => {
+    ({ homey } = await createApp());
+    ({ device, node } = await createDevice(homey, driver, { respond: attributeResponse(ATTRIBUTES) }));
+    await settle();
+  });
+
+  afterEach(() => {
+    homey.destroy();
+  });
+
+  it('reads the temperature, humidity and battery', () => {
+    assert.strictEqual(device.getCapabilityValue('measure_temperature'), 21.5);
+    assert.strictEqual(device.getCapabilityValue('measure_humidity'), 45.2);
+    assert.strictEqual(device.getCapabilityValue('measure_battery'), 100);
+    assert.strictEqual(device.getCapabilityValue('alarm_battery'), false);
+  });
+
+  it('configures the reporting thresholds on the first init', () => {
+    // direction, attribute id, data type, min and max interval, minimum change in hundredths
+    assert.deepStrictEqual(sentReportingConfigurations(node), [
+      { clusterId: 1026, payload: '000000293c00100e3200' },
+      { clusterId: 1029, payload: '000000213c00100ec800' }
+    ]);
+  });
+
+  it('applies the offsets to the last and later measurements', async () => {
+    await device.onSettings({
+      newSettings: { ...device.getSettings(), temperature_offset: -1.2, humidity_offset: 60 },
+      changedKeys: ['temperature_offset', 'humidity_offset']
+    });
+    assert.strictEqual(device.getCapabilityValue('measure_temperature'), 20.3);
+    // Calibrated humidity stays within 0 - 100%
+    assert.strictEqual(device.getCapabilityValue('measure_humidity'), 100);
+
+    await device.setSettings({ temperature_offset: -1.2, humidity_offset: 60 });
+
+    // Attribute report of measuredValue 19.00°C
+    await node.receiveFrame(1, 1026, '18010a0000296c07');
+    assert.strictEqual(device.getCapabilityValue('measure_temperature'), 17.8);
+  });
+
+  it('configures new thresholds when the sleeping sensor next reports', async () => {
+    const respond = node.respond;
+    node.respond = null;
+    node.sentFrames = [];
+
+    const newSettings = { ...device.getSettings(), temperature_threshold: 0.2 };
+    await device.onSettings({ newSettings, changedKeys: ['temperature_threshold'] });
+    await device.setSettings(newSettings);
+    await settle();
+    assert.strictEqual(device.getStoreValue('measurementReportingPending'), true);
+
+    // The sensor wakes up to report its battery
+    node.respond = respond;
+    node.sentFrames = [];
+    await node.receiveFrame(1, 1, '18010a210020c6');
+    await settle();
+
+    assert.deepStrictEqual(sentReportingConfigurations(node)[0], { clusterId: 1026, payload: '000000293c00100e1400' });
+    assert.strictEqual(device.getStoreValue('measurementReportingPending'), false);
+  });
+
+  it('raises the battery alarm from the shared battery parsing', async () => {
+    // batteryPercentageRemaining report of 8
+    await node.receiveFrame(1, 1, '18010a21002008');
+    assert.strictEqual(device.getCapabilityValue('measure_battery'), 8);
+    assert.strictEqual(device.getCapabilityValue('alarm_battery'), true);
+  });
+
+  it('binds the clusters it reports on', () => {
+    assert.deepStrictEqual(zigbee.endpoints['1'].bindings, [1, 1026, 1029]);
+  });
+});
@@ -0,0 +1,111 @@
+const {
+  describe, it, beforeEach, afterEach
+} = require('node:test');
+const assert = require('node:assert');
+const {
+  createApp, createDevice, attributeResponse, settle, assertTriggered
+} = require('./harness');
+
+const driver = 'LDSENK08';
+const { zigbee } = require(`../drivers/${driver}/driver.compose.json`);
+
+// Enrolled sensor, closed, with a full battery on the ZCL 0-200 scale
+const ATTRIBUTES = {
+  1: {
+    0x0021: '20c8'
+  },
+  1280: {
+    0x0000: '3001',
+    0x0002: '190000'
+  }
+};
+
+/**
+ * Zone status change notification with the given zone status bits
+ */
+function zoneStatusFrame(zoneStatus) {
+  const frame = Buffer.from([0x19, 0x01, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00]);
+  frame.writeUInt16LE(zoneStatus, 3);
+  return frame;
+}
+
+describe('AdeoContactSensor', () => {
+  let homey;
+  let device;
+  let node;
+
+  beforeEach(async () => {
+    ({ homey } = await createApp());
+    ({ device, node } = await createDevice(homey, driver, { respond: attributeResponse(ATTRIBUTES) }));
+    await settle();
+  });
+
+  afterEach(() => {
+    homey.destroy();
+  });
+
+  it('enrols the IAS zone with the address of Homey', () => {
+    const frames = node.sentFrames.filter(({ clusterId }) => clusterId === 1280).map(({ frame }) => frame);
+
+    // Write iasCIEAddress (EUI64, little endian), then the enrol response for zone 1
+    assert.strictEqual(frames[0].subarray(2).toString('hex'), '021000f00504030201881700');
+    assert.strictEqual(frames[1].subarray(2).toString('hex'), '000001');
+    assert.strictEqual(device.getStoreValue('iasZoneEnrolled'), true);
+
+    assert.strictEqual(device.getCapabilityValue('alarm_contact'), false);
+    assert.strictEqual(device.getCapabilityValue('measure_battery'), 100);
+  });
+
+  it('answers enrol requests from the sensor', async () => {
+    node.sentFrames = [];
+
+    // zoneEnrollRequest: contact switch zone type, manufacturer code
+    await node.receiveFrame(1, 1280, '1902011500771200');
+    await settle();
+
+    const commands = node.sentFrames.filter(({ frame }) => (frame[0] & 0x03) === 0x01);
+    assert.deepStrictEqual(commands.map(({ frame }) => frame.subarray(2).toString('hex')), ['000001']);
+  });
+
+  it('fires no card for the zone status read at pairing', () => {
+    assert.strictEqual(device.getCapabilityValue('alarm_contact'), false);
+    assertTriggered(homey, []);
+  });
+
+  it('fires the opened and closed cards on zone status changes', async () => {
+    await node.receiveFrame(1, 1280, zoneStatusFrame(0x0001));
+    assert.strictEqual(device.getCapabilityValue('alarm_contact'), true);
+
+    // A repeated status is not a change
+    await node.receiveFrame(1, 1280, zoneStatusFrame(0x0001));
+    await node.receiveFrame(1, 1280, zoneStatusFrame(0x0000));
+    assert.strictEqual(device.getCapabilityValue('alarm_contact'), false);
+
+    assertTriggered(homey, [{ id: 'contact_opened' }, { id: 'contact_closed' }]);
+  });
+
+  it('maps the tamper and battery bits of the zone status', async () => {
+    await node.receiveFrame(1, 1280, zoneStatusFrame(0x0004 | 0x0008));
+    assert.strictEqual(device.getCapabilityValue('alarm_tamper'), true);
+    assert.strictEqual(device.getCapabilityValue('alarm_battery'), true);
+
+    await node.receiveFrame(1, 1280, zoneStatusFrame(0x0000));
+    assert.strictEqual(device.getCapabilityValue('alarm_tamper'), false);
+    assert.strictEqual(device.getCapabilityValue('alarm_battery'), false);
+  });
+
+  it('falls back to the battery voltage and raises the battery alarm when low', async () => {
+    // batteryVoltage report of 2.1V
+    await node.receiveFrame(1, 1, '18010a200020' + '15');
+    assert.strictEqual(device.getCapabilityValue('measure_battery'), 10);
+    assert.strictEqual(device.getCapabilityValue('alarm_battery'), true);
+  });
+
+  it('is watched passively by the health monitor', () => {
+    assert.strictEqual(homey.app.deviceManager.getHealthPolicy(device), 'passive');
+  });
+
+  it('binds the clusters it reports on', () => {
+    assert.deepStrictEqual(zigbee.endpoints['1'].bindings, [1]);
+  });
+});
@@ -0,0 +1,411 @@
+const {
+  describe, it, beforeEach, afterEach
+} = require('node:test');
+const assert = require('node:assert');
+const { createApp, createDevice, defaultResponse, settle } = require('./harness');
+const { CONFIG } = require('../lib/Config');
+
+const driver = 'ZBEK-4';
+
+// Colour temperature bulb with a 153 - 370 mireds range, skipping the colour discovery reads
+const store = {
+  colorClusterConfigured: true,
+  colorCapabilities: { colorTemperature: true },
+  colorTempMin: 153,
+  colorTempMax: 370
+};
+
+/**
+ * Cluster specific commands the device sent since the last call, with their payload as hex
+ * Attribute reads are left out
+ */
+function takeCommands(node) {
+  const commands = node.sentFrames
+    .filter(({ frame }) => (frame[0] & 0x03) === 0x01)
+    .map(({ clusterId, frame }) => ({
+      clusterId,
+      commandId: frame[2],
+      payload: frame.subarray(3).toString('hex')
+    }));
+  node.sentFrames = [];
+  return commands;
+}
+
+describe('AdeoLight action cards', () => {
+  let homey;
+  let device;
+  let node;
+
+  beforeEach(async () => {
+    ({ homey } = await createApp());
+    ({ device, node } = await createDevice(homey, driver, { store, respond: defaultResponse }));
+    node.sentFrames = [];
+  });
+
+  afterEach(() => {
+    homey.destroy();
+  });
+
+  it('steps brightness up with OnOff and down without', async () => {
+    await device.setCapabilityValue('onoff', true);
+    await device.setCapabilityValue('dim', 0.5);
+
+    await device.stepBrightness('up', 10);
+    await device.stepBrightness('down', 20);
+
+    // stepWithOnOff / step: mode, step size (10% of 254), transition time
+    assert.deepStrictEqual(takeCommands(node), [
+      { clusterId: 8, commandId: 0x06, payload: '00190000' },
+      { clusterId: 8, commandId: 0x02, payload: '01330000' }
+    ]);
+    assert.strictEqual(device.getCapabilityValue('dim'), 0.4);
+  });
+
+  it('turns the bulb on when stepping up from off, from the level it had', async () => {
+    await device.setCapabilityValue('onoff', false);
+    await device.setCapabilityValue('dim', 0.4);
+
+    await device.stepBrightness('up', 25);
+
+    // stepWithOnOff steps from the level the bulb kept while off
+    assert.deepStrictEqual(takeCommands(node), [{ clusterId: 8, commandId: 0x06, payload: '00400000' }]);
+    assert.strictEqual(device.getCapabilityValue('onoff'), true);
+    assert.strictEqual(device.getCapabilityValue('dim'), 0.65);
+  });
+
+  it('steps up from the minimum level after the bulb was dimmed off', async () => {
+    await device.setCapabilityValue('onoff', false);
+    await device.setCapabilityValue('dim', 0);
+
+    await device.stepBrightness('up', 10);
+
+    assert.strictEqual(device.getCapabilityValue('dim'), 0.1);
+  });
+
+  it('uses the default transition time for steps', async () => {
+    await device.setSettings({ transition_time: 1.5 });
+
+    await device.stepBrightness('down', 10);
+
+    const [{ payload }] = takeCommands(node);
+    assert.strictEqual(payload, '01190f00');
+  });
+
+  it('steps colour temperature within the bulb range', async () => {
+    await device.setCapabilityValue('light_temperature', 0.5);
+
+    await device.stepColorTemperature('warmer', 10);
+    await device.stepColorTemperature('cooler', 100);
+
+    // stepColorTemperature: mode, step size, transition time, min and max mireds
+    assert.deepStrictEqual(takeCommands(node), [
+      { clusterId: 768, commandId: 0x4c, payload: '011600000099007201' },
+      { clusterId: 768, commandId: 0x4c, payload: '03d900000099007201' }
+    ]);
+    assert.strictEqual(device.getCapabilityValue('light_temperature'), 0);
+  });
+
+  it('sends the OnOff toggle command', async () => {
+    await device.setCapabilityValue('onoff', true);
+
+    await device.toggle();
+
+    assert.deepStrictEqual(takeCommands(node), [{ clusterId: 6, commandId: 0x02, payload: '' }]);
+    assert.strictEqual(device.getCapabilityValue('onoff'), false);
+  });
+
+  it('cycles through the saved presets', async () => {
+    await device.setSettings({ presets: '100@4000, 10' });
+
+    assert.strictEqual(await device.cyclePresets(), 0);
+    assert.strictEqual(device.getCapabilityValue('dim'), 1);
+    // 4000K is 250 mireds
+    assert.strictEqual(device.getCapabilityValue('light_temperature'), (250 - 153) / (370 - 153));
+
+    assert.strictEqual(await device.cyclePresets(), 1);
+    assert.strictEqual(device.getCapabilityValue('dim'), 0.1);
+
+    assert.strictEqual(await device.cyclePresets(), 0);
+  });
+
+  it('restarts the cycle and refuses invalid presets when the setting changes', async () => {
+    await device.setSettings({ presets: '100, 50' });
+    await device.cyclePresets();
+
+    await device.onSettings({ newSettings: { presets: '20, 40' }, changedKeys: ['presets'] });
+    await device.setSettings({ presets: '20, 40' });
+    assert.strictEqual(await device.cyclePresets(), 0);
+
+    await assert.rejects(device.onSettings({ newSettings: { presets: 'warm' }, changedKeys: ['presets'] }), { code: 'InvalidValue' });
+  });
+
+  it('refuses to cycle without presets', async () => {
+    await device.setSettings({ presets: '' });
+
+    await assert.rejects(device.cyclePresets(), { code: 'InvalidValue' });
+  });
+
+  it('runs the step action cards on the device', async () => {
+    await device.setCapabilityValue('dim', 0.5);
+    await device.setCapabilityValue('onoff', true);
+
+    const card = homey.flow.getActionCard('step_brightness');
+    await card.runListener({ device, direction: 'down', percent: 50 });
+
+    assert.strictEqual(device.getCapabilityValue('dim'), 0.01);
+  });
+});
+
+describe('AdeoLight transitions', () => {
+  let homey;
+  let device;
+  let node;
+
+  beforeEach(async () => {
+    ({ homey } = await createApp());
+    ({ device, node } = await createDevice(homey, driver, { store, respond: defaultResponse }));
+    node.sentFrames = [];
+  });
+
+  afterEach(() => {
+    homey.destroy();
+  });
+
+  it('fades dim and colour temperature changes over the default transition time', async () => {
+    await device.setSettings({ transition_time: 1.5 });
+
+    await device.triggerCapabilityListener('dim', 0.5);
+    await device.triggerCapabilityListener('light_temperature', 0.5);
+
+    // moveToLevelWithOnOff: level, transition time / moveToColorTemperature: mireds, transition time
+    assert.deepStrictEqual(takeCommands(node), [
+      { clusterId: 8, commandId: 0x04, payload: '7f0f00' },
+      { clusterId: 768, commandId: 0x0a, payload: '06010f00' }
+    ]);
+  });
+
+  it('prefers the duration of the transition cards', async () => {
+    await device.setSettings({ transition_time: 1.5 });
+
+    await device.transitionTo('dim', 0.5, 3);
+    await device.transitionTo('light_temperature', 0.5, 0.5);
+
+    assert.deepStrictEqual(takeCommands(node), [
+      { clusterId: 8, commandId: 0x04, payload: '7f1e00' },
+      { clusterId: 768, commandId: 0x0a, payload: '06010500' }
+    ]);
+    assert.strictEqual(device.getCapabilityValue('dim'), 0.5);
+    assert.strictEqual(device.getCapabilityValue('light_temperature'), 0.5);
+  });
+
+  it('limits transitions to the longest ZCL transition time', async () => {
+    await device.transitionTo('dim', 1, 100000);
+
+    // MAX_TRANSITION_TIME in tenths of a second, 0xfffa
+    assert.deepStrictEqual(takeCommands(node), [{ clusterId: 8, commandId: 0x04, payload: 'fefaff' }]);
+  });
+
+  it('refuses colour temperature transitions on bulbs without light_temperature', async () => {
+    await device.removeCapability('light_temperature');
+
+    await assert.rejects(device.transitionTo('light_temperature', 0.5, 2), { code: 'InvalidCommand' });
+    assert.deepStrictEqual(takeCommands(node), []);
+  });
+});
+
+describe('AdeoLight power-on settings', () => {
+  let homey;
+  let device;
+
+  beforeEach(async () => {
+    ({ homey } = await createApp());
+    ({ device } = await createDevice(homey, driver, { store, respond: defaultResponse }));
+  });
+
+  afterEach(() => {
+    homey.destroy();
+  });
+
+  it('keeps start-up levels when they are read and written back', () => {
+    // Minimum level, the lowest levels, a middle level and the maximum level
+    [0x00, 0x01, 0x02, 0x80, 0xfe].forEach((level) => {
+      const setting = device.startUpValueToSetting('startup_level', level);
+      const written = device.startUpSettingToValue('startup_level', setting);
+
+      assert.ok(setting >= 1, `level ${level} shows as ${setting}%`);
+      assert.notStrictEqual(written, CONFIG.LIGHT.STARTUP_PREVIOUS_LEVEL, `level ${level}`);
+      assert.strictEqual(device.startUpValueToSetting('startup_level', written), setting);
+    });
+
+    assert.strictEqual(device.startUpValueToSetting('startup_level', CONFIG.LIGHT.STARTUP_PREVIOUS_LEVEL), 0);
+    assert.strictEqual(device.startUpSettingToValue('startup_level', 0), CONFIG.LIGHT.STARTUP_PREVIOUS_LEVEL);
+  });
+});
+
+describe('AdeoLight effects', () => {
+  let homey;
+
+  beforeEach(async () => {
+    ({ homey } = await createApp());
+  });
+
+  afterEach(() => {
+    homey.destroy();
+  });
+
+  it('identifies from the maintenance button', async () => {
+    const { device, node } = await createDevice(homey, driver, { store, respond: defaultResponse });
+    node.sentFrames = [];
+
+    await device.triggerCapabilityListener('button.identify', true);
+
+    assert.deepStrictEqual(takeCommands(node), [{ clusterId: 3, commandId: 0x00, payload: '0a00' }]);
+  });
+
+  it('triggers effects and lists them for the autocomplete', async () => {
+    const { device, node } = await createDevice(homey, driver, { store, respond: defaultResponse });
+    node.sentFrames = [];
+
+    await device.triggerEffect('breathe');
+
+    assert.deepStrictEqual(takeCommands(node), [{ clusterId: 3, commandId: 0x40, payload: '010000' }]);
+
+    const card = homey.flow.getActionCard('trigger_effect');
+    const effects = await card.autocompleteListeners.effect('bre', { device });
+    assert.deepStrictEqual(effects, [{ id: 'breathe', name: 'Breathe' }]);
+  });
+
+  it('hides effects once the bulb rejects them', async () => {
+    const respond = ({ clusterId, frame }) => (clusterId === 3
+      ? Buffer.from([0x18, frame[1], 0x0b, frame[2], 0x81])
+      : defaultResponse({ frame }));
+    const { device } = await createDevice(homey, driver, { store, respond });
+
+    await assert.rejects(device.triggerEffect('blink'), { code: 'CommandNotSupported' });
+    assert.deepStrictEqual(device.getSupportedEffects(), []);
+  });
+
+  it('offers no effects on bulbs that do not list triggerEffect', async () => {
+    // Discover commands received response listing only identify and identifyQuery
+    const respond = ({ clusterId, frame }) => (clusterId === 3 && frame[2] === 0x11
+      ? Buffer.from([0x18, frame[1], 0x12, 0x01, 0x00, 0x01])
+      : defaultResponse({ frame }));
+    const { device, node } = await createDevice(homey, driver, { store, respond });
+    await settle();
+
+    assert.deepStrictEqual(device.getSupportedEffects(), []);
+    assert.ok(!node.sentFrames.some(({ clusterId, frame }) => clusterId === 3 && frame[2] === 0x40));
+  });
+
+  it('offers the effects on bulbs that list triggerEffect', async () => {
+    const respond = ({ clusterId, frame }) => (clusterId === 3 && frame[2] === 0x11
+      ? Buffer.from([0x18, frame[1], 0x12, 0x01, 0x00, 0x01, 0x40])
+      : defaultResponse({ frame }));
+    const { device } = await createDevice(homey, driver, { store, respond });
+    await settle();
+
+    assert.strictEqual(device.getStoreValue(CONFIG.LIGHT.EFFECT_SUPPORT_STORE_KEY), true);
+    assert.strictEqual(device.getSupportedEffects().length, Object.keys(CONFIG.LIGHT.EFFECTS).length);
+  });
+
+  it('starts and stops a colour loop on bulbs that support it', async () => {
+    const { device, node } = await createDevice(homey, driver, {
+      store: { ...store, colorCapabilities: { hueAndSaturation: true, enhancedHue: true, colorLoop: true } },
+      respond: defaultResponse
+    });
+    node.sentFrames = [];
+
+    await device.startColorLoop('down', 30);
+    await device.stopColorLoop();
+
+    // colorLoopSet: update flags, action, direction, time, start hue
+    assert.deepStrictEqual(takeCommands(node), [
+      { clusterId: 768, commandId: 0x44, payload: '0702001e000000' },
+      { clusterId: 768, commandId: 0x44, payload: '01000000000000' }
+    ]);
+  });
+
+  it('refuses colour loops on bulbs without support', async () => {
+    const { device, node } = await createDevice(homey, driver, { store, respond: defaultResponse });
+    node.sentFrames = [];
+
+    await assert.rejects(device.startColorLoop(), { code: 'CommandNotSupported' });
+    assert.deepStrictEqual(takeCommands(node), []);
+  });
+});
+
+describe('AdeoLight scenes', () => {
+  let homey;
+  let device;
+  let node;
+  let sceneResponses;
+
+  /**
+   * Answer Scenes commands from sceneResponses (command id to payload hex)
+   */
+  const respond = ({ clusterId, frame }) => {
+    const response = clusterId === 5 && sceneResponses[frame[2]];
+    if (response) {
+      return Buffer.concat([Buffer.from([0x19, frame[1], frame[2]]), Buffer.from(response, 'hex')]);
+    }
+    return defaultResponse({ frame });
+  };
+
+  beforeEach(async () => {
+    sceneResponses = {};
+    ({ homey } = await createApp());
+    ({ device, node } = await createDevice(homey, driver, { store, respond }));
+    node.sentFrames = [];
+  });
+
+  afterEach(() => {
+    homey.destroy();
+  });
+
+  it('stores the current state as a scene of the bulb', async () => {
+    sceneResponses[0x04] = '00000003';
+
+    await device.storeScene(3);
+
+    assert.deepStrictEqual(takeCommands(node), [{ clusterId: 5, commandId: 0x04, payload: '000003' }]);
+  });
+
+  it('rejects failed scene commands', async () => {
+    // INSUFFICIENT_SPACE
+    sceneResponses[0x04] = '89000003';
+
+    await assert.rejects(device.storeScene(3), { code: 'SceneCommandFailed' });
+  });
+
+  it('recalls a scene from the flow card', async () => {
+    const card = homey.flow.getActionCard('recall_scene');
+    await card.runListener({ device, scene: 2 });
+
+    assert.deepStrictEqual(takeCommands(node), [{ clusterId: 5, commandId: 0x05, payload: '000002' }]);
+  });
+
+  it('adds, views and removes scenes', async () => {
+    sceneResponses[0x00] = '00001004';
+    sceneResponses[0x01] = '00001004050005526561647906000101';
+    sceneResponses[0x02] = '8b001004';
+
+    await device.addScene(4, { groupId: 0x1000, name: 'Ready', transitionTime: 5 });
+    assert.deepStrictEqual(await device.viewScene(4, 0x1000), {
+      groupId: 0x1000, sceneId: 4, transitionTime: 5, name: 'Ready'
+    });
+
+    // NOT_FOUND is fine when removing
+    await device.removeScene(4, 0x1000);
+  });
+
+  it('reads the scenes stored for a group', async () => {
+    sceneResponses[0x06] = '000a0000020103';
+
+    assert.deepStrictEqual(await device.getSceneMembership(), { capacity: 10, scenes: [1, 3] });
+
+    // INVALID_FIELD, the bulb is not in the group
+    sceneResponses[0x06] = '850a0010';
+
+    assert.deepStrictEqual(await device.getSceneMembership(0x1000), { capacity: 10, scenes: [] });
+  });
+});
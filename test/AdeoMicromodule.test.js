@@ -0,0 +1,181 @@
+const {
+  describe, it, beforeEach, afterEach
+} = require('node:test');
+const assert = require('node:assert');
+const {
+  createApp, createDevice, attributeResponse, settle
+} = require('./harness');
+
+const driver = 'SIN-4-2-20';
+const { zigbee } = require(`../drivers/${driver}/driver.compose.json`);
+
+// Both channels on at level 128, the module is wired to a push button
+const ATTRIBUTES = {
+  6: {
+    0x0000: '1001'
+  },
+  8: {
+    0x0000: '2080'
+  },
+  65024: {
+    0x0002: '3001'
+  }
+};
+
+/**
+ * Cluster specific commands the module was sent, per endpoint and cluster
+ */
+function sentCommands(node) {
+  return node.sentFrames
+    .filter(({ frame }) => (frame[0] & 0x03) === 0x01)
+    .map(({ endpointId, clusterId, frame }) => ({ endpointId, clusterId, payload: frame.subarray(2).toString('hex') }));
+}
+
+describe('AdeoMicromodule', () => {
+  let homey;
+  let device;
+  let node;
+
+  beforeEach(async () => {
+    ({ homey } = await createApp());
+    ({ device, node } = await createDevice(homey, driver, { respond: attributeResponse(ATTRIBUTES) }));
+    await settle();
+  });
+
+  afterEach(() => {
+    homey.destroy();
+  });
+
+  it('controls the first channel from the main device', async () => {
+    assert.strictEqual(device.getCapabilityValue('onoff'), true);
+    // Level 128 of the default 1 - 100% range
+    assert.ok(Math.abs(device.getCapabilityValue('dim') - 0.5) < 0.01);
+
+    node.sentFrames = [];
+    await device.triggerCapabilityListener('onoff', false);
+
+    assert.deepStrictEqual(sentCommands(node), [{ endpointId: 1, clusterId: 6, payload: '00' }]);
+  });
+
+  it('controls the second channel from its sub capabilities', async () => {
+    assert.strictEqual(device.getCapabilityValue('onoff.channel2'), true);
+    assert.ok(Math.abs(device.getCapabilityValue('dim.channel2') - 0.5) < 0.01);
+
+    node.sentFrames = [];
+    await device.triggerCapabilityListener('onoff.channel2', false);
+    await device.triggerCapabilityListener('dim.channel2', 1);
+
+    assert.deepStrictEqual(sentCommands(node), [
+      { endpointId: 2, clusterId: 6, payload: '00' },
+      { endpointId: 2, clusterId: 8, payload: '04feffff' }
+    ]);
+    assert.strictEqual(device.getCapabilityValue('onoff.channel2'), true);
+  });
+
+  it('fires the channel 2 cards when the second channel changes', async () => {
+    await device.triggerCapabilityListener('onoff.channel2', false);
+    // Attribute report of onOff on, from the wall switch
+    await node.receiveFrame(2, 6, '18010a00001001');
+    await settle();
+
+    assert.deepStrictEqual(homey.flow.triggered.map(({ id }) => id), ['channel2_turned_off', 'channel2_turned_on']);
+
+    const condition = homey.flow.getConditionCard('channel2_is_on');
+    assert.strictEqual(await condition.runListener({ device }), true);
+
+    node.sentFrames = [];
+    await homey.flow.getActionCard('channel2_set_onoff').runListener({ device, state: 'off' });
+    assert.deepStrictEqual(sentCommands(node), [{ endpointId: 2, clusterId: 6, payload: '00' }]);
+    assert.strictEqual(device.getCapabilityValue('onoff.channel2'), false);
+  });
+
+  it('spreads the dim level over the minimum and maximum level', async () => {
+    await device.setSettings({ min_level: 20, max_level: 80 });
+    node.sentFrames = [];
+
+    // moveToLevelWithOnOff: level, transition time
+    await device.triggerCapabilityListener('dim', 0.5);
+    await device.triggerCapabilityListener('dim', 1);
+    assert.deepStrictEqual(sentCommands(node).map(({ payload }) => payload), ['047fffff', '04cbffff']);
+
+    // Attribute report of currentLevel 51, the minimum level
+    await node.receiveFrame(1, 8, '18010a00002033');
+    assert.strictEqual(device.getCapabilityValue('dim'), 0.01);
+
+    await assert.rejects(
+      device.onSettings({ newSettings: { ...device.getSettings(), min_level: 80, max_level: 20 }, changedKeys: ['min_level'] }),
+      { code: 'InvalidValue' }
+    );
+  });
+
+  it('removes dim from channels without LevelControl', async () => {
+    homey.destroy();
+    ({ homey } = await createApp());
+    ({ device } = await createDevice(homey, driver, {
+      endpointDescriptors: [{ endpointId: 1, inputClusters: [0, 3, 4, 5, 6], outputClusters: [] }],
+      respond: attributeResponse(ATTRIBUTES)
+    }));
+    await settle();
+
+    assert.strictEqual(device.hasCapability('dim'), false);
+    assert.strictEqual(device.getCapabilityValue('onoff'), true);
+  });
+
+  it('copies and writes the switch type through the manufacturer specific cluster', async () => {
+    assert.strictEqual(device.getSetting('switch_type'), 'momentary');
+    assert.strictEqual(device.getStoreValue('switchTypeSupported'), true);
+
+    node.sentFrames = [];
+    await device.onSettings({ newSettings: { ...device.getSettings(), switch_type: 'toggle' }, changedKeys: ['switch_type'] });
+
+    // Manufacturer specific write attributes with the ADEO manufacturer code
+    const [{ clusterId, frame }] = node.sentFrames;
+    assert.strictEqual(clusterId, 65024);
+    assert.strictEqual(frame[0] & 0x04, 0x04);
+    assert.strictEqual(frame.readUInt16LE(1), 4727);
+    assert.strictEqual(frame.subarray(4).toString('hex'), '02' + '0200' + '30' + '00');
+  });
+
+  it('refuses the switch type on modules without the manufacturer specific cluster', async () => {
+    homey.destroy();
+    ({ homey } = await createApp());
+    ({ device } = await createDevice(homey, driver, {
+      endpointDescriptors: [{ endpointId: 1, inputClusters: [0, 3, 4, 5, 6, 8], outputClusters: [] }],
+      respond: attributeResponse(ATTRIBUTES)
+    }));
+    await settle();
+
+    assert.strictEqual(device.getStoreValue('switchTypeSupported'), false);
+    await assert.rejects(
+      device.onSettings({ newSettings: { ...device.getSettings(), switch_type: 'momentary' }, changedKeys: ['switch_type'] }),
+      { code: 'AttributeNotSupported' }
+    );
+  });
+
+  it('adds no second channel to single channel modules', async () => {
+    homey.destroy();
+    ({ homey } = await createApp());
+    ({ device } = await createDevice(homey, driver, {
+      endpointDescriptors: [{ endpointId: 1, inputClusters: [0, 3, 4, 5, 6, 8], outputClusters: [] }],
+      respond: attributeResponse(ATTRIBUTES)
+    }));
+    await settle();
+
+    assert.deepStrictEqual(device.getCapabilities(), ['onoff', 'dim']);
+  });
+
+  it('marks channel sub devices of earlier versions unavailable', async () => {
+    const { device: channel } = await createDevice(homey, driver, {
+      data: { id: `${driver}-test`, subDeviceId: 'secondChannel' }
+    });
+
+    assert.strictEqual(channel.getAvailable(), false);
+    assert.match(channel.warning, /can be deleted/);
+    assert.strictEqual(homey.app.deviceManager.devices.has(`${driver}-test-secondChannel`), false);
+  });
+
+  it('binds the clusters it reports on', () => {
+    assert.deepStrictEqual(zigbee.endpoints['1'].bindings, [6, 8]);
+    assert.deepStrictEqual(zigbee.endpoints['2'].bindings, [6, 8]);
+  });
+});
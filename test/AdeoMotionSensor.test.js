@@ -0,0 +1,118 @@
+const {
+  describe, it, beforeEach, afterEach, mock
+} = require('node:test');
+const assert = require('node:assert');
+const {
+  createApp, createDevice, attributeResponse, settle
+} = require('./harness');
+
+const driver = 'LDSENK10';
+const { zigbee } = require(`../drivers/${driver}/driver.compose.json`);
+
+// Enrolled sensor without motion, 100 lux and a full battery on the ZCL 0-200 scale
+const ATTRIBUTES = {
+  1: {
+    0x0021: '20c8'
+  },
+  1024: {
+    0x0000: '21214e'
+  },
+  1280: {
+    0x0000: '3001',
+    0x0002: '190000'
+  }
+};
+
+/**
+ * Zone status change notification with the given zone status bits
+ */
+function zoneStatusFrame(zoneStatus) {
+  const frame = Buffer.from([0x19, 0x01, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x00]);
+  frame.writeUInt16LE(zoneStatus, 3);
+  return frame;
+}
+
+describe('AdeoMotionSensor', () => {
+  let homey;
+  let device;
+  let node;
+
+  beforeEach(async () => {
+    ({ homey } = await createApp());
+    ({ device, node } = await createDevice(homey, driver, { respond: attributeResponse(ATTRIBUTES) }));
+    await settle();
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    homey.destroy();
+  });
+
+  it('enrols the IAS zone and reads the luminance', () => {
+    assert.strictEqual(device.getStoreValue('iasZoneEnrolled'), true);
+    assert.strictEqual(device.getCapabilityValue('alarm_motion'), false);
+    assert.strictEqual(device.getCapabilityValue('measure_luminance'), 100);
+    assert.strictEqual(device.getCapabilityValue('measure_battery'), 100);
+  });
+
+  it('clears the motion alarm once no motion was seen for the motion timeout', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+
+    await node.receiveFrame(1, 1280, zoneStatusFrame(0x0001));
+    assert.strictEqual(device.getCapabilityValue('alarm_motion'), true);
+
+    // The sensor clearing motion itself does not clear the alarm, new motion restarts the timeout
+    await node.receiveFrame(1, 1280, zoneStatusFrame(0x0000));
+    mock.timers.tick(30000);
+    await node.receiveFrame(1, 1280, zoneStatusFrame(0x0001));
+    mock.timers.tick(59000);
+    assert.strictEqual(device.getCapabilityValue('alarm_motion'), true);
+
+    mock.timers.tick(1000);
+    assert.strictEqual(device.getCapabilityValue('alarm_motion'), false);
+  });
+
+  it('follows the sensor without a motion timeout', async () => {
+    await device.setSettings({ motion_timeout: 0 });
+
+    await node.receiveFrame(1, 1280, zoneStatusFrame(0x0001));
+    assert.strictEqual(device.getCapabilityValue('alarm_motion'), true);
+
+    await node.receiveFrame(1, 1280, zoneStatusFrame(0x0000));
+    assert.strictEqual(device.getCapabilityValue('alarm_motion'), false);
+  });
+
+  it('checks motion against the luminance in the condition card', async () => {
+    const card = homey.flow.getConditionCard('motion_luminance_below');
+
+    assert.strictEqual(await card.runListener({ device, luminance: 200 }), false);
+
+    await node.receiveFrame(1, 1280, zoneStatusFrame(0x0001));
+    assert.strictEqual(await card.runListener({ device, luminance: 200 }), true);
+    assert.strictEqual(await card.runListener({ device, luminance: 50 }), false);
+  });
+
+  it('falls back to the Occupancy Sensing cluster without an IAS Zone', async () => {
+    homey.destroy();
+    ({ homey } = await createApp());
+    ({ device, node } = await createDevice(homey, driver, {
+      settings: { motion_timeout: 0 },
+      endpointDescriptors: [{ endpointId: 1, inputClusters: [0, 1, 3, 1030], outputClusters: [] }],
+      respond: attributeResponse(ATTRIBUTES)
+    }));
+    await settle();
+
+    assert.strictEqual(device.hasCapability('measure_luminance'), false);
+
+    // Attribute reports of occupancy (bitmap8)
+    await node.receiveFrame(1, 1030, '18010a00001801');
+    assert.strictEqual(device.getCapabilityValue('alarm_motion'), true);
+
+    await node.receiveFrame(1, 1030, '18010a00001800');
+    assert.strictEqual(device.getCapabilityValue('alarm_motion'), false);
+  });
+
+  it('binds the clusters it reports on', () => {
+    assert.deepStrictEqual(zigbee.endpoints['1'].bindings, [1, 1024, 1030]);
+  });
+});
@@ -0,0 +1,151 @@
+const {
+  describe, it, beforeEach, afterEach
+} = require('node:test');
+const assert = require('node:assert');
+const {
+  createApp, createDevice, attributeResponse, settle
+} = require('./harness');
+const { Cluster } = require('zigbee-clusters');
+const LightOnOffCluster = require('../lib/LightOnOffCluster');
+
+const driver = 'SIN-4-1-20';
+const { zigbee } = require(`../drivers/${driver}/driver.compose.json`);
+
+// Attribute values of the simulated plug, as hex of the ZCL data type followed by the value
+const ATTRIBUTES = {
+  // OnOff: onOff, startUpOnOff (previous), no child lock
+  6: {
+    0x0000: '1001',
+    0x4003: '30ff'
+  },
+  // Metering: currentSummationDelivered 12345 Wh, multiplier 1, divisor 1000
+  1794: {
+    0x0000: '25393000000000',
+    0x0301: '22010000',
+    0x0302: '22e80300'
+  },
+  // Electrical measurement: 230 V, 540 mA, 123.4 W with power in tenths and current in mA
+  2820: {
+    0x0505: '21e600',
+    0x0508: '211c02',
+    0x050b: '29d204',
+    0x0600: '210100',
+    0x0601: '210100',
+    0x0602: '210100',
+    0x0603: '21e803',
+    0x0604: '210100',
+    0x0605: '210a00'
+  }
+};
+
+/**
+ * Global commands with the given command id the plug was sent, per cluster
+ */
+function sentGlobalCommands(node, commandId) {
+  return node.sentFrames
+    .filter(({ frame }) => (frame[0] & 0x03) === 0x00 && frame[2] === commandId)
+    .map(({ clusterId, frame }) => ({ clusterId, payload: frame.subarray(3).toString('hex') }));
+}
+
+describe('AdeoPlug', () => {
+  let homey;
+  let device;
+  let node;
+
+  beforeEach(async () => {
+    ({ homey } = await createApp());
+    ({ device, node } = await createDevice(homey, driver, { respond: attributeResponse(ATTRIBUTES) }));
+    await settle();
+  });
+
+  afterEach(() => {
+    homey.destroy();
+  });
+
+  it('scales the measurements with the multipliers and divisors of the plug', async () => {
+    assert.deepStrictEqual(device.getStoreValue('measurementFactors'), {
+      activePowerFactor: 0.1,
+      acVoltageFactor: 1,
+      acCurrentFactor: 0.001,
+      meteringFactor: 0.001
+    });
+
+    assert.strictEqual(device.getCapabilityValue('onoff'), true);
+    assert.strictEqual(device.getCapabilityValue('measure_power'), 123.4);
+    assert.strictEqual(device.getCapabilityValue('measure_voltage'), 230);
+    assert.strictEqual(device.getCapabilityValue('measure_current'), 0.54);
+    assert.strictEqual(device.getCapabilityValue('meter_power'), 12.345);
+
+    // Attribute report of activePower 45.6 W
+    await node.receiveFrame(1, 2820, '18010a0b0529c801');
+    assert.strictEqual(device.getCapabilityValue('measure_power'), 45.6);
+  });
+
+  it('configures measurement reporting on the first init', () => {
+    // direction, attribute id, data type, min and max interval, minimum change in raw units
+    assert.deepStrictEqual(sentGlobalCommands(node, 0x06), [
+      { clusterId: 2820, payload: '000b05290a002c010a00' + '000505210a002c010100' + '000805210a002c013200' },
+      { clusterId: 1794, payload: '000000250a002c010a0000000000' }
+    ]);
+  });
+
+  it('copies the supported plug settings from the firmware', () => {
+    assert.strictEqual(device.getSetting('plug_support'), 'Supported: power-on state');
+    assert.strictEqual(device.getSetting('startup_onoff'), 'previous');
+    assert.deepStrictEqual(device.getStoreValue('plugSettingsSupport'), { startup_onoff: true, child_lock: false });
+  });
+
+  it('writes the power-on state and refuses the child lock without firmware support', async () => {
+    node.sentFrames = [];
+
+    await device.onSettings({ newSettings: { ...device.getSettings(), startup_onoff: 'on' }, changedKeys: ['startup_onoff'] });
+    assert.deepStrictEqual(sentGlobalCommands(node, 0x02), [{ clusterId: 6, payload: '03403001' }]);
+
+    await assert.rejects(
+      device.onSettings({ newSettings: { ...device.getSettings(), child_lock: true }, changedKeys: ['child_lock'] }),
+      { code: 'AttributeNotSupported' }
+    );
+  });
+
+  it('keeps the child lock attribute on the plug, not on the bulbs', () => {
+    const cluster = device.zclNode.endpoints[1].clusters.onOff;
+
+    assert.strictEqual(cluster.constructor.attributes.childLock.id, 0x8000);
+    assert.strictEqual(Cluster.getCluster(6), LightOnOffCluster);
+    assert.strictEqual(LightOnOffCluster.attributes.childLock, undefined);
+  });
+
+  it('reconfigures reporting when the intervals change', async () => {
+    node.sentFrames = [];
+
+    await device.onSettings({
+      newSettings: { ...device.getSettings(), report_min_interval: 30, report_max_interval: 600 },
+      changedKeys: ['report_min_interval', 'report_max_interval']
+    });
+
+    const [{ payload }] = sentGlobalCommands(node, 0x06);
+    assert.strictEqual(payload.slice(0, 16), '000b05291e005802');
+
+    await assert.rejects(
+      device.onSettings({
+        newSettings: { ...device.getSettings(), report_min_interval: 600, report_max_interval: 30 },
+        changedKeys: ['report_min_interval']
+      }),
+      { code: 'InvalidValue' }
+    );
+  });
+
+  it('registers with the device manager and is pinged by the health monitor', async () => {
+    const { deviceManager } = homey.app;
+
+    assert.strictEqual(deviceManager.devices.get(`${driver}-test`), device);
+    assert.strictEqual(deviceManager.getHealthPolicy(device), 'ping');
+
+    await homey.app.executeDeviceCommand(`${driver}-test`, 'toggle');
+    assert.strictEqual(device.getCapabilityValue('onoff'), false);
+  });
+
+  it('binds the clusters it reports on', () => {
+    assert.deepStrictEqual(zigbee.endpoints['1'].bindings, [6, 1794, 2820]);
+  });
+});
@@ -0,0 +1,235 @@
+const {
+  describe, it, beforeEach, afterEach, mock
+} = require('node:test');
+const assert = require('node:assert');
+const {
+  createApp, createDevice, loadFixture, replayFrames, assertTriggered
+} = require('./harness');
+const { CONFIG } = require('../lib/Config');
+
+const { driver, recordings } = loadFixture('ZBEK-26');
+
+describe('AdeoRemote frame replay', () => {
+  let homey;
+
+  beforeEach(async () => {
+    ({ homey } = await createApp());
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    homey.destroy();
+  });
+
+  recordings.forEach(({
+    name, settings, frames, triggers
+  }) => {
+    it(`replays ${name}`, async () => {
+      const { device, node } = await createDevice(homey, driver, { settings });
+      mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+
+      await replayFrames(node, frames, mock.timers);
+
+      assertTriggered(homey, triggers);
+      assert.deepStrictEqual(device.deviceState.errors, []);
+    });
+  });
+
+  it('records the last button press for condition cards', async () => {
+    const { device, node } = await createDevice(homey, driver);
+
+    await node.receiveFrame(1, 65024, '0577122a000a01');
+
+    assert.strictEqual(device.deviceState.lastButtonPress.button, 'scene_1');
+    assert.strictEqual(device.deviceState.buttonsPressed, 1);
+  });
+
+  it('fires the pressed cards without tokens and survives a failing card', async () => {
+    const { node } = await createDevice(homey, driver);
+
+    await node.receiveFrame(1, 6, '011001');
+    await node.receiveFrame(1, 5, '011405000002');
+    assert.deepStrictEqual(homey.flow.triggered
+      .filter(({ id }) => id.startsWith('pressed_'))
+      .map(({ id, tokens }) => ({ id, tokens })), [
+      { id: 'pressed_on', tokens: {} },
+      { id: 'pressed_scene_2', tokens: {} }
+    ]);
+
+    homey.flow.getDeviceTriggerCard('pressed_off').trigger = async () => {
+      throw new Error('Flow failed');
+    };
+    homey.flow.triggered = [];
+    await node.receiveFrame(1, 6, '011100');
+
+    // The rejection is logged, the gesture cards still run
+    assert.deepStrictEqual(homey.flow.triggered.map(({ id }) => id), ['button_pressed', 'button_short_press']);
+  });
+
+  it('saves the decoded button commands with the device statistics', async () => {
+    const { node } = await createDevice(homey, driver);
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+
+    const frames = ['ON button', 'OFF button', 'brightness down held for 700 ms (LevelControl move / stop)']
+      .flatMap(name => recordings.find(recording => recording.name === name).frames);
+    await replayFrames(node, frames, mock.timers);
+    homey.app.deviceManager.saveStatistics();
+
+    const { commandHistory } = homey.settings.get(CONFIG.STATISTICS.SETTINGS_KEY).devices[`${driver}-test`];
+    assert.deepStrictEqual(
+      commandHistory.map(({ command, type, clusterId, commandId }) => ({
+        command, type, clusterId, commandId
+      })),
+      [
+        { command: 'on', type: 'press', clusterId: 6, commandId: 1 },
+        { command: 'off', type: 'press', clusterId: 6, commandId: 0 },
+        { command: 'brightness_down', type: 'hold', clusterId: 8, commandId: 1 },
+        { command: 'release', type: 'release', clusterId: 8, commandId: 3 }
+      ]
+    );
+  });
+
+  describe('button mappings', () => {
+    const mappings = JSON.stringify([{
+      clusterId: 6, commandId: 0x02, button: 'on'
+    }]);
+
+    it('decodes frames with the mapping table from the settings', async () => {
+      const { node } = await createDevice(homey, driver, { settings: { button_mappings: mappings } });
+
+      await node.receiveFrame(1, 6, '011202');
+
+      assertTriggered(homey, [
+        { id: 'pressed_on' },
+        { id: 'button_pressed', state: { button: 'on' } },
+        { id: 'button_short_press', state: { button: 'on' } }
+      ]);
+    });
+
+    it('refuses invalid settings and keeps the previous table', async () => {
+      const { device, node } = await createDevice(homey, driver, { settings: { button_mappings: mappings } });
+
+      await assert.rejects(device.onSettings({
+        oldSettings: device.getSettings(),
+        newSettings: { ...device.getSettings(), button_mappings: '[{"clusterId": 6}]' },
+        changedKeys: ['button_mappings']
+      }), { code: 'InvalidValue' });
+
+      await node.receiveFrame(1, 6, '011202');
+      assert.strictEqual(homey.flow.triggered[0].id, 'pressed_on');
+    });
+
+    it('imports and exports the table as JSON', async () => {
+      const { device } = await createDevice(homey, driver);
+
+      assert.strictEqual(await device.importButtonMappings(mappings), 1);
+      assert.deepStrictEqual(JSON.parse(device.exportButtonMappings()), [{
+        clusterId: 6, commandId: 2, payload: '', button: 'on', type: 'press'
+      }]);
+      assert.strictEqual(device.getSetting('button_mappings'), device.exportButtonMappings());
+      assert.ok(JSON.parse(device.exportButtonMappings(true)).length > 1);
+    });
+
+    it('ignores an invalid stored table at startup', async () => {
+      const { device } = await createDevice(homey, driver, { settings: { button_mappings: 'not json' } });
+
+      assert.deepStrictEqual(device.frameDecoder.mappings, []);
+      assert.strictEqual(device.deviceState.isInitialized, true);
+    });
+  });
+
+  describe('button pressed card', () => {
+    it('autocompletes built-in and custom buttons', async () => {
+      const { app } = homey;
+      const { device } = await createDevice(homey, driver, {
+        store: { customButtons: [{ id: 'custom_768_68_02', name: 'Colour loop' }] }
+      });
+
+      assert.strictEqual(app.autocompleteButtons(device).length, 16);
+      assert.deepStrictEqual(app.autocompleteButtons(device, 'scene 1'), [{ id: 'scene_1', name: 'Scene 1' }]);
+      assert.deepStrictEqual(app.autocompleteButtons(device, 'loop').map(({ id }) => id), ['custom_768_68_02']);
+    });
+
+    it('runs flows for the selected button only', async () => {
+      const { app } = homey;
+      const { device, node } = await createDevice(homey, driver);
+
+      await node.receiveFrame(1, 5, '011405000002');
+
+      const { tokens, state } = homey.flow.triggered.find(({ id }) => id === 'button_pressed');
+      assert.deepStrictEqual(tokens, { button: 'scene_2', gesture: 'short_press', payload: '000002' });
+
+      const card = homey.flow.getDeviceTriggerCard('button_pressed');
+      const [scene2] = app.autocompleteButtons(device, 'scene 2');
+      const [scene3] = app.autocompleteButtons(device, 'scene 3');
+      assert.strictEqual(await card.runListener({ device, button: scene2 }, state), true);
+      assert.strictEqual(await card.runListener({ device, button: scene3 }, state), false);
+    });
+  });
+
+  describe('learning mode', () => {
+    it('records nothing while disabled', async () => {
+      const { device, node } = await createDevice(homey, driver);
+
+      await node.receiveFrame(1, 6, '011001');
+
+      assert.deepStrictEqual(device.getLearnedFrames(), []);
+    });
+
+    it('records every frame in the device store', async () => {
+      const { device, node } = await createDevice(homey, driver, { settings: { learning_mode: true } });
+
+      await node.receiveFrame(1, 6, '011001');
+      await node.receiveFrame(1, 768, '01514402010a000000');
+
+      const [unknown, known] = device.getLearnedFrames();
+      assert.strictEqual(known.button, 'on');
+      assert.strictEqual(unknown.button, null);
+      assert.strictEqual(unknown.clusterId, 768);
+      assert.strictEqual(unknown.commandId, 0x44);
+      assert.strictEqual(unknown.payload, '02010a000000');
+      assert.strictEqual(device.getStoreValue('learnedFrames').length, 2);
+    });
+
+    it('turns a labelled frame into a custom button trigger', async () => {
+      const { app } = homey;
+      const { device, node } = await createDevice(homey, driver, { settings: { learning_mode: true } });
+
+      await node.receiveFrame(1, 768, '01514402010a000000');
+      const [result] = app.autocompleteLearnedFrames(device, 'cluster 768');
+      await device.labelFrame(result.id, 'Colour loop');
+
+      homey.flow.triggered = [];
+      await node.receiveFrame(1, 768, '01524402010a000000');
+
+      assertTriggered(homey, [
+        { id: 'custom_button_pressed', tokens: { button: 'Colour loop', payload: '02010a000000' } },
+        { id: 'button_pressed', tokens: { button: 'Colour loop' }, state: { button: 'custom_768_68_02010a000000' } },
+        { id: 'button_short_press', state: { button: 'custom_768_68_02010a000000' } }
+      ]);
+
+      const [button] = app.autocompleteCustomButtons(device, 'loop');
+      const card = homey.flow.getDeviceTriggerCard('custom_button_pressed');
+      assert.strictEqual(await card.runListener({ device, button }, homey.flow.triggered[0].state), true);
+    });
+
+    it('refuses to label global commands', async () => {
+      const { device, node } = await createDevice(homey, driver, { settings: { learning_mode: true } });
+
+      await node.receiveFrame(1, 1, '18500121000020c8');
+      const [frame] = device.getLearnedFrames();
+
+      await assert.rejects(device.labelFrame(frame.id, 'Battery'), { code: 'InvalidValue' });
+    });
+
+    it('refuses to label frames of a built-in button', async () => {
+      const { device, node } = await createDevice(homey, driver, { settings: { learning_mode: true } });
+
+      await node.receiveFrame(1, 6, '011001');
+      const [frame] = device.getLearnedFrames();
+
+      await assert.rejects(device.labelFrame(frame.id, 'Lights on'), { code: 'InvalidValue', message: /on button/ });
+      assert.deepStrictEqual(device.getCustomButtons(), []);
+    });
+  });
+});
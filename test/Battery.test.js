@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Battery = require('../lib/Battery');
+
+describe('Battery', () => {
+  describe('parsePercentage', () => {
+    it('reads the ZCL 0-200 scale', () => {
+      assert.strictEqual(Battery.parsePercentage(200), 100);
+      assert.strictEqual(Battery.parsePercentage(101), 51);
+    });
+
+    it('reads devices reporting on a 0-255 or 0-100 scale', () => {
+      assert.strictEqual(Battery.parsePercentage(254), 100);
+      assert.strictEqual(Battery.parsePercentage(201), 79);
+      assert.strictEqual(Battery.parsePercentage(42), 42);
+      assert.strictEqual(Battery.parsePercentage(0), 0);
+    });
+
+    it('returns null for an unknown level', () => {
+      assert.strictEqual(Battery.parsePercentage(255), null);
+      assert.strictEqual(Battery.parsePercentage(null), null);
+      assert.strictEqual(Battery.parsePercentage(undefined), null);
+    });
+  });
+
+  describe('percentageFromVoltage', () => {
+    it('maps 2.0 - 3.0V of a coin cell to 0 - 100%', () => {
+      assert.strictEqual(Battery.percentageFromVoltage(30), 100);
+      assert.strictEqual(Battery.percentageFromVoltage(25), 50);
+      assert.strictEqual(Battery.percentageFromVoltage(20), 0);
+    });
+
+    it('clamps voltages outside the range', () => {
+      assert.strictEqual(Battery.percentageFromVoltage(33), 100);
+      assert.strictEqual(Battery.percentageFromVoltage(18), 0);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const ColorUtils = require('../lib/ColorUtils');
+const { CONFIG } = require('../lib/Config');
+
+describe('ColorUtils', () => {
+  const range = { min: 153, max: 454 };
+
+  describe('sanitizeMiredsRange', () => {
+    it('keeps a valid range', () => {
+      assert.deepStrictEqual(ColorUtils.sanitizeMiredsRange(range), range);
+    });
+
+    it('falls back to defaults for missing or invalid ranges', () => {
+      const defaults = { min: CONFIG.LIGHT.DEFAULT_MIN_MIREDS, max: CONFIG.LIGHT.DEFAULT_MAX_MIREDS };
+
+      assert.deepStrictEqual(ColorUtils.sanitizeMiredsRange(), defaults);
+      assert.deepStrictEqual(ColorUtils.sanitizeMiredsRange({ min: 0, max: 0 }), defaults);
+      assert.deepStrictEqual(ColorUtils.sanitizeMiredsRange({ min: 153, max: 0xffff }), defaults);
+      assert.deepStrictEqual(ColorUtils.sanitizeMiredsRange({ min: 400, max: 200 }), defaults);
+    });
+  });
+
+  describe('colour temperature', () => {
+    it('maps 0 to the coldest and 1 to the warmest temperature', () => {
+      assert.strictEqual(ColorUtils.temperatureToMireds(0, range), 153);
+      assert.strictEqual(ColorUtils.temperatureToMireds(1, range), 454);
+      assert.strictEqual(ColorUtils.miredsToTemperature(153, range), 0);
+      assert.strictEqual(ColorUtils.miredsToTemperature(454, range), 1);
+    });
+
+    it('clamps out of range values', () => {
+      assert.strictEqual(ColorUtils.temperatureToMireds(1.5, range), 454);
+      assert.strictEqual(ColorUtils.miredsToTemperature(100, range), 0);
+      assert.strictEqual(ColorUtils.miredsToTemperature(500, range), 1);
+    });
+
+    it('round-trips every mireds value in range', () => {
+      for (let mireds = range.min; mireds <= range.max; mireds++) {
+        const value = ColorUtils.miredsToTemperature(mireds, range);
+        assert.strictEqual(ColorUtils.temperatureToMireds(value, range), mireds);
+      }
+    });
+  });
+
+  describe('kelvin', () => {
+    it('converts kelvin to mireds within the bulb range', () => {
+      assert.strictEqual(ColorUtils.kelvinToMireds(4000, range), 250);
+      assert.strictEqual(ColorUtils.kelvinToMireds(10000, range), 153);
+      assert.strictEqual(ColorUtils.kelvinToMireds(1000, range), 454);
+    });
+
+    it('converts mireds to kelvin', () => {
+      assert.strictEqual(ColorUtils.miredsToKelvin(250), 4000);
+      assert.strictEqual(ColorUtils.miredsToKelvin(370), 2700);
+    });
+  });
+
+  describe('hue and saturation', () => {
+    it('round-trips every ZCL value', () => {
+      for (let zcl = 0; zcl <= 254; zcl++) {
+        assert.strictEqual(ColorUtils.hueToZcl(ColorUtils.zclToHue(zcl)), zcl);
+        assert.strictEqual(ColorUtils.saturationToZcl(ColorUtils.zclToSaturation(zcl)), zcl);
+      }
+    });
+
+    it('keeps Homey values within one ZCL step', () => {
+      [0, 0.25, 0.5, 0.75, 1].forEach((value) => {
+        assert.ok(Math.abs(ColorUtils.zclToHue(ColorUtils.hueToZcl(value)) - value) <= 1 / 254);
+      });
+    });
+  });
+
+  describe('colorModeToLightMode', () => {
+    it('maps colour modes to light modes', () => {
+      assert.strictEqual(ColorUtils.colorModeToLightMode('currentHueAndCurrentSaturation'), 'color');
+      assert.strictEqual(ColorUtils.colorModeToLightMode('currentXAndCurrentY'), 'color');
+      assert.strictEqual(ColorUtils.colorModeToLightMode('colorTemperatureMireds'), 'temperature');
+      assert.strictEqual(ColorUtils.colorModeToLightMode('unknown'), null);
+    });
+  });
+});
@@ -0,0 +1,295 @@
+const {
+  describe, it, beforeEach, afterEach, mock
+} = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const DeviceManager = require('../lib/DeviceManager');
+const { CONFIG } = require('../lib/Config');
+
+function createApp(settings = {}) {
+  return {
+    log() {},
+    error() {},
+    homey: {
+      settings: {
+        get: key => (settings[key] === undefined ? null : settings[key]),
+        set: (key, value) => {
+          settings[key] = JSON.parse(JSON.stringify(value));
+        }
+      },
+      setInterval: (callback, ms) => setInterval(callback, ms),
+      clearInterval: interval => clearInterval(interval)
+    }
+  };
+}
+
+function createDevice(id, driverId = 'ZBEK-26') {
+  const device = new EventEmitter();
+  device.available = true;
+  device.getData = () => ({ id });
+  device.getName = () => `Device ${id}`;
+  device.getDriver = () => ({ id: driverId });
+  device.getCapabilities = () => [];
+  device.getAvailable = () => device.available;
+  device.hasCapability = capability => capability === 'measure_battery' && driverId === 'ZBEK-26';
+  device.getCapabilityValue = () => null;
+  device.setAvailable = async () => {
+    device.available = true;
+  };
+  device.setUnavailable = async () => {
+    device.available = false;
+  };
+  return device;
+}
+
+/**
+ * Mains powered bulb answering pings while reachable
+ */
+function createBulb(id) {
+  const bulb = createDevice(id, 'ZBEK-4');
+  bulb.reachable = true;
+  bulb.pings = 0;
+  bulb.ping = async () => {
+    bulb.pings++;
+    if (!bulb.reachable) {
+      throw new Error('Timeout: Expected Response');
+    }
+  };
+  return bulb;
+}
+
+/**
+ * Run the health checks of the given number of heartbeat intervals
+ */
+async function runHeartbeats(count) {
+  for (let index = 0; index < count; index++) {
+    mock.timers.tick(CONFIG.DEVICE.HEARTBEAT_INTERVAL);
+    // Let the asynchronous health check finish
+    for (let turn = 0; turn < 10; turn++) {
+      await Promise.resolve();
+    }
+  }
+}
+
+describe('DeviceManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new DeviceManager(createApp());
+  });
+
+  describe('isDeviceAvailable', () => {
+    it('returns false for unknown devices', () => {
+      assert.strictEqual(manager.isDeviceAvailable('unknown'), false);
+    });
+
+    it('follows the availability reported by Homey', () => {
+      const device = createDevice('remote-1');
+      const changes = [];
+      manager.on('availabilityChanged', (deviceId, available) => changes.push([deviceId, available]));
+      manager.registerDevice(device);
+
+      assert.strictEqual(manager.isDeviceAvailable('remote-1'), true);
+
+      device.available = false;
+      assert.strictEqual(manager.isDeviceAvailable('remote-1'), false);
+      assert.strictEqual(manager.getDeviceState('remote-1').available, false);
+      assert.deepStrictEqual(changes, [['remote-1', false]]);
+    });
+  });
+
+  describe('health monitor', () => {
+    let events;
+
+    beforeEach(() => {
+      mock.timers.enable({ apis: ['setInterval', 'Date'] });
+      manager = new DeviceManager(createApp({ [CONFIG.DEVICE.OFFLINE_AFTER_SETTING]: 5 }));
+      events = [];
+      manager.on('deviceOffline', (device, deviceId) => events.push(['offline', deviceId]));
+      manager.on('deviceOnline', (device, deviceId) => events.push(['online', deviceId]));
+      manager.startHealthMonitor();
+    });
+
+    afterEach(() => {
+      manager.destroy();
+      mock.timers.reset();
+    });
+
+    it('pings silent bulbs and keeps them online while they answer', async () => {
+      const bulb = createBulb('bulb-1');
+      manager.registerDevice(bulb);
+
+      await runHeartbeats(10);
+
+      assert.strictEqual(bulb.pings, 10);
+      assert.strictEqual(bulb.available, true);
+      assert.deepStrictEqual(events, []);
+    });
+
+    it('does not ping bulbs that were heard from recently', async () => {
+      const bulb = createBulb('bulb-1');
+      manager.registerDevice(bulb);
+
+      mock.timers.tick(CONFIG.DEVICE.HEARTBEAT_INTERVAL - 1000);
+      bulb.emit('frameReceived');
+      mock.timers.tick(1000);
+      await Promise.resolve();
+
+      assert.strictEqual(bulb.pings, 0);
+    });
+
+    it('marks bulbs offline after the silence window and online on the next frame', async () => {
+      const bulb = createBulb('bulb-1');
+      manager.registerDevice(bulb);
+      bulb.reachable = false;
+
+      await runHeartbeats(4);
+      assert.strictEqual(bulb.available, true);
+
+      await runHeartbeats(1);
+      assert.strictEqual(bulb.available, false);
+      assert.strictEqual(manager.getDeviceState('bulb-1').available, false);
+
+      bulb.emit('frameReceived');
+      await Promise.resolve();
+
+      assert.strictEqual(bulb.available, true);
+      assert.deepStrictEqual(events, [['offline', 'bulb-1'], ['online', 'bulb-1']]);
+    });
+
+    it('gives battery remotes a longer silence window and ignores other devices', async () => {
+      const remote = createDevice('remote-1');
+      const group = createDevice('group-1', 'light-group');
+      manager.registerDevice(remote);
+      manager.registerDevice(group);
+
+      await runHeartbeats(60);
+      assert.deepStrictEqual(events, []);
+
+      mock.timers.tick(CONFIG.DEVICE.BATTERY_OFFLINE_AFTER * 60000);
+      await runHeartbeats(1);
+
+      assert.deepStrictEqual(events, [['offline', 'remote-1']]);
+      assert.strictEqual(group.available, true);
+    });
+  });
+
+  describe('statistics', () => {
+    let settings;
+
+    /**
+     * Remote keeping a button command history like AdeoRemote
+     */
+    function createRemote(id) {
+      const remote = createDevice(id);
+      remote.commandHistory = [];
+      remote.getCommandHistory = () => [...remote.commandHistory];
+      remote.restoreCommandHistory = (records) => {
+        remote.commandHistory = [...records, ...remote.commandHistory];
+      };
+      remote.clearCommandHistory = () => {
+        remote.commandHistory = [];
+      };
+      return remote;
+    }
+
+    /**
+     * A manager as created on app start, with the saved statistics loaded
+     */
+    function restart() {
+      const restarted = new DeviceManager(createApp(settings));
+      restarted.loadStatistics();
+      return restarted;
+    }
+
+    beforeEach(() => {
+      settings = {};
+      manager = restart();
+    });
+
+    it('keeps interactions, errors and command history across restarts', () => {
+      const remote = createRemote('remote-1');
+      manager.registerDevice(remote);
+      remote.emit('capabilityChanged', 'measure_battery', 90);
+      remote.emit('error', new Error('Invalid frame data'), 'frame_handling');
+      remote.commandHistory.push({ command: 'setOn', timestamp: new Date().toISOString() });
+      manager.destroy();
+
+      manager = restart();
+      const restored = createRemote('remote-1');
+      manager.registerDevice(restored);
+
+      const stats = manager.getDeviceStats('remote-1');
+      assert.strictEqual(stats.interactions, 1);
+      assert.strictEqual(stats.totalErrors, 1);
+      assert.deepStrictEqual(stats.errorCounts, { frame_handling: 1 });
+      assert.deepStrictEqual(restored.getCommandHistory().map(({ command }) => command), ['setOn']);
+    });
+
+    it('keeps the statistics of devices that did not register yet', () => {
+      manager.registerDevice(createRemote('remote-1'));
+      manager.handleDeviceError('remote-1', new Error('Invalid frame data'), 'frame_handling');
+      manager.saveStatistics();
+
+      manager = restart();
+      manager.saveStatistics();
+
+      assert.strictEqual(settings[CONFIG.STATISTICS.SETTINGS_KEY].devices['remote-1'].errors.length, 1);
+    });
+
+    it('drops records older than the retention period', () => {
+      const old = new Date(Date.now() - (CONFIG.STATISTICS.RETENTION_DAYS + 1) * 24 * 3600000).toISOString();
+      settings[CONFIG.STATISTICS.SETTINGS_KEY] = {
+        since: old,
+        devices: {
+          'remote-1': {
+            interactions: 40,
+            errors: [{ error: 'old', timestamp: old }, { error: 'new', timestamp: new Date().toISOString() }],
+            commandHistory: [{ command: 'setOff', timestamp: old }]
+          }
+        }
+      };
+
+      manager = restart();
+      const remote = createRemote('remote-1');
+      manager.registerDevice(remote);
+
+      assert.deepStrictEqual(manager.getDeviceErrors('remote-1').map(({ error }) => error), ['new']);
+      assert.deepStrictEqual(remote.getCommandHistory(), []);
+      assert.strictEqual(manager.getDeviceStats('remote-1').interactions, 40);
+    });
+
+    it('saves the statistics every flush interval', () => {
+      mock.timers.enable({ apis: ['setInterval'] });
+      try {
+        manager.startStatisticsFlush();
+        manager.registerDevice(createRemote('remote-1'));
+
+        mock.timers.tick(CONFIG.STATISTICS.FLUSH_INTERVAL - 1);
+        assert.strictEqual(settings[CONFIG.STATISTICS.SETTINGS_KEY], undefined);
+
+        mock.timers.tick(1);
+        assert.ok(settings[CONFIG.STATISTICS.SETTINGS_KEY].devices['remote-1']);
+      } finally {
+        manager.destroy();
+        mock.timers.reset();
+      }
+    });
+
+    it('resets every statistic', () => {
+      const remote = createRemote('remote-1');
+      manager.registerDevice(remote);
+      remote.emit('capabilityChanged', 'measure_battery', 90);
+      remote.emit('error', new Error('Invalid frame data'), 'frame_handling');
+      remote.commandHistory.push({ command: 'setOn', timestamp: new Date().toISOString() });
+
+      manager.resetStatistics();
+
+      const stats = manager.getDeviceStats('remote-1');
+      assert.strictEqual(stats.interactions, 0);
+      assert.strictEqual(stats.totalErrors, 0);
+      assert.deepStrictEqual(remote.getCommandHistory(), []);
+      assert.deepStrictEqual(settings[CONFIG.STATISTICS.SETTINGS_KEY].devices['remote-1'].errors, []);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const FrameRecorder = require('../lib/FrameRecorder');
+const RemoteFrameDecoder = require('../lib/RemoteFrameDecoder');
+
+function record(recorder, clusterId, hex) {
+  const frame = Buffer.from(hex, 'hex');
+  return recorder.record({
+    endpointId: 1, clusterId, frame, zclFrame: RemoteFrameDecoder.parseZclFrame(frame)
+  });
+}
+
+describe('FrameRecorder', () => {
+  it('records frames with their header fields', () => {
+    const recorder = new FrameRecorder();
+    const entry = record(recorder, 6, '011002');
+
+    assert.strictEqual(entry.id, 1);
+    assert.strictEqual(entry.clusterId, 6);
+    assert.strictEqual(entry.commandId, 2);
+    assert.strictEqual(entry.clusterSpecific, true);
+    assert.strictEqual(entry.frame, '011002');
+    assert.strictEqual(entry.payload, '');
+    assert.ok(!Number.isNaN(Date.parse(entry.timestamp)));
+  });
+
+  it('records frames that could not be parsed', () => {
+    const recorder = new FrameRecorder();
+    const entry = recorder.record({ endpointId: 1, clusterId: 6, frame: Buffer.from('01', 'hex') });
+
+    assert.strictEqual(entry.commandId, null);
+    assert.strictEqual(entry.clusterSpecific, false);
+  });
+
+  it('drops the oldest frames when full', () => {
+    const recorder = new FrameRecorder({ size: 2 });
+    record(recorder, 6, '011000');
+    record(recorder, 6, '011101');
+    record(recorder, 6, '011202');
+
+    assert.deepStrictEqual(recorder.getFrames().map(frame => frame.id), [3, 2]);
+    assert.strictEqual(recorder.getFrame(1), null);
+  });
+
+  it('continues ids after restoring stored frames', () => {
+    const stored = new FrameRecorder();
+    record(stored, 6, '011000');
+    record(stored, 6, '011101');
+
+    const recorder = new FrameRecorder({ frames: stored.frames });
+    assert.strictEqual(record(recorder, 6, '011202').id, 3);
+
+    recorder.clear();
+    assert.deepStrictEqual(recorder.getFrames(), []);
+  });
+});
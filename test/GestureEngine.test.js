@@ -0,0 +1,172 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const GestureEngine = require('../lib/GestureEngine');
+const { CONFIG } = require('../lib/Config');
+
+describe('GestureEngine', () => {
+  let engine;
+  let gestures;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+    engine = new GestureEngine({ longPressThreshold: 500, holdRepeatInterval: 200 });
+    gestures = [];
+    engine.on('gesture', (gesture) => gestures.push(gesture));
+  });
+
+  afterEach(() => {
+    engine.destroy();
+    mock.timers.reset();
+  });
+
+  it('emits short_press for a single press', () => {
+    engine.press('on');
+
+    assert.deepStrictEqual(gestures.map((g) => [g.gesture, g.button]), [['short_press', 'on']]);
+  });
+
+  it('emits short_press when released before the threshold', () => {
+    engine.hold('red_up');
+    mock.timers.tick(300);
+    engine.release();
+
+    assert.deepStrictEqual(gestures.map((g) => g.gesture), ['short_press']);
+  });
+
+  it('emits long press start, repeats and release when held', () => {
+    engine.hold('red_up');
+    mock.timers.tick(500);
+    mock.timers.tick(200);
+    mock.timers.tick(200);
+    engine.release();
+
+    assert.deepStrictEqual(gestures.map((g) => g.gesture), [
+      'long_press_start', 'hold_repeat', 'hold_repeat', 'long_press_release'
+    ]);
+    assert.strictEqual(gestures[2].repeat, 2);
+    assert.strictEqual(gestures[3].duration, 900);
+    assert.ok(gestures.every((g) => g.button === 'red_up'));
+  });
+
+  it('ignores repeated hold frames for the same button', () => {
+    engine.hold('green_up');
+    mock.timers.tick(300);
+    engine.hold('green_up');
+    mock.timers.tick(200);
+
+    assert.deepStrictEqual(gestures.map((g) => g.gesture), ['long_press_start']);
+  });
+
+  it('releases the previous button when another one is held', () => {
+    engine.hold('green_up');
+    mock.timers.tick(600);
+    engine.hold('green_down');
+
+    assert.deepStrictEqual(gestures.map((g) => [g.gesture, g.button]), [
+      ['long_press_start', 'green_up'],
+      ['long_press_release', 'green_up']
+    ]);
+  });
+
+  it('releases automatically when the stop frame is lost', () => {
+    engine.hold('red_down');
+    mock.timers.tick(CONFIG.GESTURES.MAX_HOLD_DURATION);
+
+    assert.strictEqual(gestures[gestures.length - 1].gesture, 'long_press_release');
+  });
+
+  it('keeps a hold longer than the default limit running when the limit is raised', () => {
+    engine.setThresholds({ longPressThreshold: 500, holdRepeatInterval: 200, maxHoldDuration: 30000 });
+    engine.hold('red_up');
+    mock.timers.tick(20000);
+
+    assert.ok(!gestures.some((g) => g.gesture === 'long_press_release'));
+
+    engine.release();
+    assert.strictEqual(gestures[gestures.length - 1].gesture, 'long_press_release');
+    assert.strictEqual(gestures.filter((g) => g.gesture === 'long_press_release').length, 1);
+  });
+
+  it('releases a raised hold limit once it has passed', () => {
+    engine.setThresholds({ maxHoldDuration: 30000 });
+    engine.hold('red_down');
+    mock.timers.tick(30000);
+
+    assert.strictEqual(gestures[gestures.length - 1].gesture, 'long_press_release');
+  });
+
+  it('ignores a release without a held button', () => {
+    engine.release();
+
+    assert.deepStrictEqual(gestures, []);
+  });
+
+  it('passes press data along with the short press', () => {
+    engine.press('scene_1', { scene: 1 });
+
+    assert.deepStrictEqual(gestures[0].data, { scene: 1 });
+  });
+
+  describe('multi-click', () => {
+    beforeEach(() => {
+      engine.setThresholds({ clickWindow: 400 });
+    });
+
+    it('delays a single press until the click window has passed', () => {
+      engine.press('scene_1');
+      assert.deepStrictEqual(gestures, []);
+
+      mock.timers.tick(400);
+      assert.deepStrictEqual(gestures.map((g) => g.gesture), ['short_press']);
+    });
+
+    it('aggregates double and triple clicks', () => {
+      engine.press('scene_1');
+      mock.timers.tick(300);
+      engine.press('scene_1');
+      mock.timers.tick(400);
+
+      engine.press('scene_2');
+      engine.press('scene_2');
+      engine.press('scene_2');
+      mock.timers.tick(400);
+
+      assert.deepStrictEqual(gestures.map((g) => [g.gesture, g.button, g.clicks]), [
+        ['multi_click', 'scene_1', 2],
+        ['multi_click', 'scene_2', 3]
+      ]);
+    });
+
+    it('ends the sequence when another button is pressed', () => {
+      engine.press('scene_1');
+      engine.press('scene_1');
+      engine.press('scene_2');
+
+      assert.deepStrictEqual(gestures.map((g) => [g.gesture, g.button, g.clicks]), [
+        ['multi_click', 'scene_1', 2]
+      ]);
+    });
+
+    it('ends the sequence when a button is held', () => {
+      engine.press('red_up');
+      engine.hold('red_up');
+
+      assert.deepStrictEqual(gestures.map((g) => g.gesture), ['short_press']);
+    });
+
+    it('emits pending clicks when multi-click is disabled', () => {
+      engine.press('scene_1');
+      engine.setThresholds({ clickWindow: 0 });
+
+      assert.deepStrictEqual(gestures.map((g) => g.gesture), ['short_press']);
+    });
+  });
+
+  it('applies updated thresholds', () => {
+    engine.setThresholds({ longPressThreshold: 1000, holdRepeatInterval: 500 });
+    engine.hold('red_up');
+    mock.timers.tick(900);
+
+    assert.deepStrictEqual(gestures, []);
+  });
+});
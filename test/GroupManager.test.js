@@ -0,0 +1,182 @@
+const {
+  describe, it, beforeEach, mock
+} = require('node:test');
+const assert = require('node:assert');
+const GroupManager = require('../lib/GroupManager');
+const { CONFIG, LexmanError, Utils } = require('../lib/Config');
+
+function createBulb(id) {
+  return {
+    groups: new Map(),
+    values: {},
+    getData: () => ({ id }),
+    getName: () => `Bulb ${id}`,
+    async addToGroup(groupId, name) {
+      this.groups.set(groupId, name);
+    },
+    async removeFromGroup(groupId) {
+      this.groups.delete(groupId);
+    },
+    async applyGroupValue(capability, value) {
+      this.values[capability] = value;
+    },
+    scenes: [],
+    async storeScene(sceneId, groupId) {
+      this.scenes.push({ command: 'store', sceneId, groupId });
+    },
+    async recallScene(sceneId, groupId) {
+      this.scenes.push({ command: 'recall', sceneId, groupId });
+    }
+  };
+}
+
+function createApp(bulbs, stored = {}) {
+  const settings = new Map(Object.entries(stored));
+
+  return {
+    log() {},
+    error() {},
+    homey: {
+      settings: {
+        get: key => settings.get(key),
+        set: (key, value) => settings.set(key, JSON.parse(JSON.stringify(value)))
+      },
+      drivers: {
+        getDriver: () => ({ getDevices: () => bulbs })
+      }
+    },
+    settings
+  };
+}
+
+describe('GroupManager', () => {
+  let bulbs;
+  let app;
+  let manager;
+
+  beforeEach(() => {
+    bulbs = [createBulb('a'), createBulb('b'), createBulb('c')];
+    app = createApp(bulbs);
+    manager = new GroupManager(app);
+  });
+
+  it('creates a group on the selected bulbs and persists it', async () => {
+    const group = await manager.createGroup('Kitchen', ['a', 'b']);
+
+    assert.strictEqual(group.id, CONFIG.GROUPS.FIRST_ID);
+    assert.deepStrictEqual(group.members, ['a', 'b']);
+    assert.strictEqual(bulbs[0].groups.get(group.id), 'Kitchen');
+    assert.strictEqual(bulbs[2].groups.has(group.id), false);
+    assert.deepStrictEqual(app.settings.get(CONFIG.GROUPS.SETTINGS_KEY)[group.id].members, ['a', 'b']);
+  });
+
+  it('leaves no group behind when a bulb cannot join', async () => {
+    mock.method(Utils, 'delay', async () => {});
+    bulbs[1].addToGroup = async () => {
+      throw new Error('Timeout');
+    };
+
+    try {
+      await assert.rejects(manager.createGroup('Kitchen', ['a', 'b', 'c']), /Timeout/);
+    } finally {
+      mock.restoreAll();
+    }
+
+    assert.deepStrictEqual(manager.getGroups(), []);
+    assert.strictEqual(app.settings.get(CONFIG.GROUPS.SETTINGS_KEY), undefined);
+    assert.strictEqual(bulbs[0].groups.size, 0);
+    assert.strictEqual(bulbs[2].groups.size, 0);
+  });
+
+  it('restores groups from storage', async () => {
+    await manager.createGroup('Kitchen', ['a']);
+
+    const restored = new GroupManager(app);
+    assert.strictEqual(restored.getGroups().length, 1);
+    assert.strictEqual(restored.getGroups()[0].name, 'Kitchen');
+  });
+
+  it('allocates the lowest free group id', async () => {
+    const first = await manager.createGroup('One');
+    await manager.createGroup('Two');
+    await manager.deleteGroup(first.id);
+
+    const third = await manager.createGroup('Three');
+    assert.strictEqual(third.id, first.id);
+  });
+
+  it('adds and removes members', async () => {
+    const group = await manager.createGroup('Hall', ['a']);
+
+    await manager.addMember(group.id, bulbs[1]);
+    await manager.removeMember(group.id, bulbs[0]);
+
+    assert.deepStrictEqual(manager.getGroup(group.id).members, ['b']);
+    assert.strictEqual(bulbs[0].groups.has(group.id), false);
+    assert.strictEqual(bulbs[1].groups.has(group.id), true);
+  });
+
+  it('renames a group on its members', async () => {
+    const group = await manager.createGroup('Hall', ['a', 'b']);
+
+    await manager.renameGroup(group.id, 'Entrance');
+
+    assert.strictEqual(manager.getGroup(group.id).name, 'Entrance');
+    assert.strictEqual(bulbs[1].groups.get(group.id), 'Entrance');
+  });
+
+  it('deletes a group from its members', async () => {
+    const group = await manager.createGroup('Hall', ['a', 'b']);
+
+    await manager.deleteGroup(group.id);
+
+    assert.strictEqual(bulbs[0].groups.size, 0);
+    assert.throws(() => manager.getGroup(group.id), LexmanError);
+  });
+
+  it('sends group values to every member', async () => {
+    const group = await manager.createGroup('Living', ['a', 'c']);
+
+    await manager.setGroupValue(group.id, 'dim', 0.5);
+
+    assert.strictEqual(bulbs[0].values.dim, 0.5);
+    assert.strictEqual(bulbs[1].values.dim, undefined);
+    assert.strictEqual(bulbs[2].values.dim, 0.5);
+  });
+
+  it('only fails a group command when every member fails', async () => {
+    const group = await manager.createGroup('Living', ['a', 'b']);
+    bulbs[0].applyGroupValue = async () => {
+      throw new Error('timeout');
+    };
+
+    await manager.setGroupValue(group.id, 'onoff', true);
+    assert.strictEqual(bulbs[1].values.onoff, true);
+
+    bulbs[1].applyGroupValue = bulbs[0].applyGroupValue;
+    await assert.rejects(manager.setGroupValue(group.id, 'onoff', false), LexmanError);
+  });
+
+  it('stores and recalls group scenes on every member', async () => {
+    const group = await manager.createGroup('Living', ['a', 'c']);
+
+    await manager.storeScene(group.id, 3);
+    await manager.recallScene(group.id, 3);
+
+    const expected = [
+      { command: 'store', sceneId: 3, groupId: group.id },
+      { command: 'recall', sceneId: 3, groupId: group.id }
+    ];
+    assert.deepStrictEqual(bulbs[0].scenes, expected);
+    assert.deepStrictEqual(bulbs[1].scenes, []);
+    assert.deepStrictEqual(bulbs[2].scenes, expected);
+  });
+
+  it('forgets deleted bulbs', async () => {
+    const group = await manager.createGroup('Living', ['a', 'b']);
+
+    manager.forgetDevice('a');
+
+    assert.deepStrictEqual(manager.getGroup(group.id).members, ['b']);
+  });
+});
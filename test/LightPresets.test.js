@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const LightPresets = require('../lib/LightPresets');
+
+describe('LightPresets', () => {
+  it('parses brightness with an optional colour temperature', () => {
+    assert.deepStrictEqual(LightPresets.parse('100@4000, 50%@2700K\n10'), [
+      { dim: 1, temperature: 4000 },
+      { dim: 0.5, temperature: 2700 },
+      { dim: 0.1, temperature: null }
+    ]);
+  });
+
+  it('treats an empty setting as no presets', () => {
+    assert.deepStrictEqual(LightPresets.parse(''), []);
+    assert.deepStrictEqual(LightPresets.parse(null), []);
+  });
+
+  it('rejects invalid entries with their position', () => {
+    assert.throws(() => LightPresets.parse('100, bright'), { code: 'InvalidValue', message: /^Preset 2:/ });
+    assert.throws(() => LightPresets.parse('0@2700'), { code: 'InvalidValue', message: /^Preset 1:/ });
+    assert.throws(() => LightPresets.parse('150'), { code: 'InvalidValue' });
+  });
+
+  it('formats presets back to their setting text', () => {
+    const text = '100@4000, 50@2700, 10';
+    assert.strictEqual(LightPresets.format(LightPresets.parse(text)), text);
+  });
+});
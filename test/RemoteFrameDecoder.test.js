@@ -0,0 +1,236 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const RemoteFrameDecoder = require('../lib/RemoteFrameDecoder');
+const { LexmanError, ZigBeeError } = require('../lib/Config');
+
+const decoder = new RemoteFrameDecoder();
+
+function decodeHex(clusterId, hex) {
+  return decoder.decodeFrame(clusterId, Buffer.from(hex, 'hex'));
+}
+
+describe('RemoteFrameDecoder', () => {
+
+  describe('parseZclFrame', () => {
+    it('parses a cluster-specific frame header', () => {
+      const frame = RemoteFrameDecoder.parseZclFrame(Buffer.from('011a02010f05', 'hex'));
+
+      assert.strictEqual(frame.clusterSpecific, true);
+      assert.strictEqual(frame.manufacturerSpecific, false);
+      assert.strictEqual(frame.transactionSequenceNumber, 0x1a);
+      assert.strictEqual(frame.commandId, 0x02);
+      assert.strictEqual(frame.payload.toString('hex'), '010f05');
+    });
+
+    it('parses a manufacturer-specific frame header', () => {
+      const frame = RemoteFrameDecoder.parseZclFrame(Buffer.from('0577122a000a01', 'hex'));
+
+      assert.strictEqual(frame.manufacturerSpecific, true);
+      assert.strictEqual(frame.manufacturerCode, 4727);
+      assert.strictEqual(frame.transactionSequenceNumber, 0x2a);
+      assert.strictEqual(frame.commandId, 0x00);
+      assert.strictEqual(frame.payload.toString('hex'), '0a01');
+    });
+
+    it('rejects truncated frames', () => {
+      assert.throws(() => RemoteFrameDecoder.parseZclFrame(Buffer.from('01', 'hex')), ZigBeeError);
+      assert.throws(() => RemoteFrameDecoder.parseZclFrame(Buffer.from('057712', 'hex')), ZigBeeError);
+    });
+  });
+
+  describe('decodeFrame', () => {
+    const fixtures = [
+      { clusterId: 6, hex: '011001', button: 'on' },
+      { clusterId: 6, hex: '011100', button: 'off' },
+      { clusterId: 8, hex: '01120200330a00', button: 'brightness_up' },
+      { clusterId: 8, hex: '01130201330a00', button: 'brightness_down' },
+      { clusterId: 5, hex: '011405000002', button: 'scene_2', scene: 2 },
+      { clusterId: 768, hex: '011a02010f05', button: 'green_right' },
+      { clusterId: 768, hex: '011b02030f05', button: 'green_left' },
+      { clusterId: 768, hex: '011c05010f05', button: 'green_up' },
+      { clusterId: 768, hex: '011d05030f05', button: 'green_down' },
+      { clusterId: 768, hex: '011e4c011400050000000000', button: 'red_up' },
+      { clusterId: 768, hex: '011f4c031400050000000000', button: 'red_down' },
+      { clusterId: 65024, hex: '0577122a000a01', button: 'scene_1', scene: 1 },
+      { clusterId: 65024, hex: '0577122b000d01', button: 'scene_4', scene: 4 }
+    ];
+
+    fixtures.forEach(({ clusterId, hex, button, scene }) => {
+      it(`decodes ${hex} on cluster ${clusterId} as ${button}`, () => {
+        const event = decodeHex(clusterId, hex);
+
+        assert.ok(event);
+        assert.strictEqual(event.type, 'press');
+        assert.strictEqual(event.button, button);
+        assert.strictEqual(event.triggerId, `pressed_${button}`);
+        assert.strictEqual(event.scene, scene || null);
+        assert.strictEqual(event.clusterId, clusterId);
+      });
+    });
+
+    it('decodes move frames as holds', () => {
+      const level = decodeHex(8, '0120010132');
+      const color = decodeHex(768, '01214b03320000000000');
+
+      assert.strictEqual(level.type, 'hold');
+      assert.strictEqual(level.button, 'brightness_down');
+      assert.strictEqual(color.type, 'hold');
+      assert.strictEqual(color.button, 'red_down');
+    });
+
+    it('decodes stop frames as releases', () => {
+      const stops = [
+        { clusterId: 8, hex: '012203' },
+        { clusterId: 8, hex: '012307' },
+        { clusterId: 768, hex: '0124470000' },
+        { clusterId: 768, hex: '01254b00000000000000' }
+      ];
+
+      stops.forEach(({ clusterId, hex }) => {
+        const event = decodeHex(clusterId, hex);
+
+        assert.strictEqual(event.type, 'release');
+        assert.strictEqual(event.button, null);
+        assert.strictEqual(event.triggerId, null);
+      });
+    });
+
+    it('ignores the transaction sequence number', () => {
+      for (let seq = 0; seq <= 0xff; seq++) {
+        const seqHex = seq.toString(16).padStart(2, '0');
+
+        assert.strictEqual(decodeHex(768, `01${seqHex}02010f05`).button, 'green_right');
+        assert.strictEqual(decodeHex(768, `01${seqHex}02030f05`).button, 'green_left');
+      }
+    });
+
+    it('returns the payload as hex', () => {
+      assert.strictEqual(decodeHex(768, '011a02010f05').payload, '010f05');
+    });
+
+    it('ignores global commands', () => {
+      // Default response to an OnOff command
+      assert.strictEqual(decodeHex(6, '08100b0100'), null);
+    });
+
+    it('returns null for unmapped commands', () => {
+      assert.strictEqual(decodeHex(768, '01200a7d010a00'), null);
+      assert.strictEqual(decodeHex(65024, '0577122c00ff01'), null);
+      assert.strictEqual(decodeHex(1, '011001'), null);
+    });
+  });
+
+  describe('decode', () => {
+    it('decodes a command without a payload pattern', () => {
+      assert.strictEqual(decoder.decode(6, 0x01).button, 'on');
+    });
+
+    it('rejects payloads shorter than the pattern', () => {
+      assert.strictEqual(decoder.decode(5, 0x05, Buffer.from('0000', 'hex')), null);
+    });
+
+    it('uses a custom frame table', () => {
+      const custom = new RemoteFrameDecoder([
+        { clusterId: 6, commandId: 0x02, button: 'toggle' }
+      ]);
+
+      assert.strictEqual(custom.decode(6, 0x02).triggerId, 'pressed_toggle');
+      assert.strictEqual(custom.decode(6, 0x01), null);
+    });
+  });
+
+  describe('user mappings', () => {
+    const table = JSON.stringify([
+      { clusterId: 8, commandId: 0x02, payload: '00??', button: 'brightness_down' },
+      { clusterId: 0xfe00, commandId: 0x00, payload: '0e', button: 'scene_4' },
+      { clusterId: 8, commandId: 0x04, type: 'release' }
+    ]);
+
+    it('parses payload patterns with wildcards', () => {
+      const [first, second, third] = RemoteFrameDecoder.parseMappings(table);
+
+      assert.deepStrictEqual(first.payload, [0x00, null]);
+      assert.strictEqual(second.scene, 4);
+      assert.strictEqual(third.type, 'release');
+      assert.strictEqual(third.button, undefined);
+    });
+
+    it('consults the mapping table before the built-in defaults', () => {
+      const mapped = new RemoteFrameDecoder();
+      mapped.setMappings(RemoteFrameDecoder.parseMappings(table));
+
+      assert.strictEqual(mapped.decode(8, 0x02, Buffer.from('00330a00', 'hex')).button, 'brightness_down');
+      assert.strictEqual(mapped.decode(8, 0x02, Buffer.from('01330a00', 'hex')).button, 'brightness_down');
+      assert.strictEqual(mapped.decode(0xfe00, 0x00, Buffer.from('0e01', 'hex')).triggerId, 'pressed_scene_4');
+      assert.strictEqual(mapped.decode(8, 0x04).type, 'release');
+      assert.strictEqual(mapped.decode(6, 0x01).button, 'on');
+    });
+
+    it('round-trips through export and import', () => {
+      const entries = RemoteFrameDecoder.parseMappings(table);
+
+      assert.deepStrictEqual(RemoteFrameDecoder.parseMappings(RemoteFrameDecoder.formatMappings(entries)), entries);
+    });
+
+    it('exports the built-in table in the same format', () => {
+      const entries = RemoteFrameDecoder.parseMappings(RemoteFrameDecoder.formatMappings(decoder.frames));
+
+      assert.strictEqual(entries.length, decoder.frames.length);
+      assert.deepStrictEqual(entries[0], { clusterId: 6, commandId: 0, payload: [], type: 'press', button: 'off' });
+    });
+
+    it('treats an empty table as no mappings', () => {
+      assert.deepStrictEqual(RemoteFrameDecoder.parseMappings(''), []);
+      assert.deepStrictEqual(RemoteFrameDecoder.parseMappings(null), []);
+    });
+
+    it('rejects invalid tables with the offending entry', () => {
+      const invalid = [
+        ['{', /not valid JSON/],
+        ['{}', /must be a JSON array/],
+        ['[null]', /mapping 1: must be an object/],
+        ['[{"clusterId": "8", "commandId": 2, "button": "on"}]', /clusterId/],
+        ['[{"clusterId": 8, "commandId": 256, "button": "on"}]', /commandId/],
+        ['[{"clusterId": 8, "commandId": 2, "payload": "0", "button": "on"}]', /payload/],
+        ['[{"clusterId": 8, "commandId": 2, "button": "on", "type": "tap"}]', /type/],
+        ['[{"clusterId": 6, "commandId": 1, "button": "on"}, {"clusterId": 8, "commandId": 2, "button": "dim"}]', /mapping 2: button/]
+      ];
+
+      invalid.forEach(([json, message]) => {
+        assert.throws(() => RemoteFrameDecoder.parseMappings(json), (error) => error instanceof LexmanError && message.test(error.message));
+      });
+    });
+  });
+
+  describe('custom buttons', () => {
+    const learned = new RemoteFrameDecoder(undefined, [
+      { id: 'off_with_effect', clusterId: 6, commandId: 0x40, payload: '' },
+      { id: 'color_loop', clusterId: 768, commandId: 0x44, payload: '0f01' }
+    ]);
+
+    it('decodes labelled frames that have no built-in mapping', () => {
+      const event = learned.decode(6, 0x40);
+
+      assert.strictEqual(event.button, 'off_with_effect');
+      assert.strictEqual(event.custom, true);
+      assert.strictEqual(event.triggerId, null);
+      assert.strictEqual(learned.decode(768, 0x44, Buffer.from('0f0100', 'hex')).button, 'color_loop');
+      assert.strictEqual(learned.decode(768, 0x44, Buffer.from('0f02', 'hex')), null);
+    });
+
+    it('keeps built-in mappings ahead of custom buttons', () => {
+      const shadowed = new RemoteFrameDecoder(undefined, [{ id: 'my_on', clusterId: 6, commandId: 0x01, payload: '' }]);
+      const event = shadowed.decode(6, 0x01);
+
+      assert.strictEqual(event.button, 'on');
+      assert.strictEqual(event.custom, false);
+    });
+
+    it('replaces custom buttons', () => {
+      const learnedDecoder = new RemoteFrameDecoder(undefined, [{ id: 'off_with_effect', clusterId: 6, commandId: 0x40, payload: '' }]);
+      learnedDecoder.setCustomButtons([]);
+
+      assert.strictEqual(learnedDecoder.decode(6, 0x40), null);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+const {
+  describe, it, beforeEach, afterEach
+} = require('node:test');
+const assert = require('node:assert');
+const { createApp, createDevice, defaultResponse } = require('./harness');
+const api = require('../api');
+
+describe('Web API', () => {
+  let homey;
+  let remote;
+  let remoteNode;
+  let bulb;
+
+  beforeEach(async () => {
+    ({ homey } = await createApp());
+    ({ device: remote, node: remoteNode } = await createDevice(homey, 'ZBEK-26', { data: { id: 'remote-1' } }));
+    ({ device: bulb } = await createDevice(homey, 'ZBEK-4', { data: { id: 'bulb-1' }, respond: defaultResponse }));
+  });
+
+  afterEach(() => {
+    homey.destroy();
+  });
+
+  it('returns the overview and device states', async () => {
+    const overview = await api.getOverview({ homey });
+    assert.strictEqual(overview.totalDevices, 2);
+    assert.deepStrictEqual(overview.deviceTypes, { 'ZBEK-26': 1, 'ZBEK-4': 1 });
+
+    const devices = await api.getDevices({ homey });
+    assert.deepStrictEqual(Object.keys(devices), ['remote-1', 'bulb-1']);
+
+    const stats = await api.getDevice({ homey, params: { id: 'bulb-1' } });
+    assert.strictEqual(stats.name, 'ZBEK-4');
+    assert.strictEqual(stats.totalErrors, 0);
+  });
+
+  it('rejects unknown devices', async () => {
+    await assert.rejects(api.getDevice({ homey, params: { id: 'nope' } }), { code: 'DeviceNotFound' });
+  });
+
+  it('executes allowed commands only', async () => {
+    await bulb.setCapabilityValue('onoff', false);
+
+    const response = await api.executeCommand({ homey, params: { id: 'bulb-1' }, body: { command: 'toggle' } });
+    assert.deepStrictEqual(response, { result: null });
+    assert.strictEqual(bulb.getCapabilityValue('onoff'), true);
+
+    await assert.rejects(
+      api.executeCommand({ homey, params: { id: 'bulb-1' }, body: { command: 'setSettings', args: [{}] } }),
+      { code: 'InvalidCommand' }
+    );
+    await assert.rejects(
+      api.executeCommand({ homey, params: { id: 'remote-1' }, body: { command: 'toggle' } }),
+      { code: 'InvalidCommand' }
+    );
+  });
+
+  it('lists device errors newest first', async () => {
+    homey.app.deviceManager.handleDeviceError('bulb-1', new Error('first'));
+    homey.app.deviceManager.handleDeviceError('remote-1', new Error('Invalid frame data'), 'frame_handling');
+
+    const errors = await api.getErrors({ homey });
+    assert.deepStrictEqual(errors.map(({ deviceId, error }) => [deviceId, error]).sort(), [
+      ['bulb-1', 'first'],
+      ['remote-1', 'Invalid frame data']
+    ]);
+    assert.strictEqual(errors.find(({ deviceId }) => deviceId === 'remote-1').context, 'frame_handling');
+  });
+
+  it('publishes remote frames with their decoded button to the settings page', async () => {
+    await remoteNode.receiveFrame(1, 6, '011001');
+    await remoteNode.receiveFrame(1, 6, '0111ff');
+
+    const events = homey.api.realtimeEvents.filter(({ event }) => event === 'buttonFrame').map(({ data }) => data);
+    assert.deepStrictEqual(events.map(({
+      deviceId, clusterId, frame, button, type
+    }) => ({
+      deviceId, clusterId, frame, button, type
+    })), [
+      {
+        deviceId: 'remote-1', clusterId: 6, frame: '011001', button: 'on', type: 'press'
+      },
+      {
+        deviceId: 'remote-1', clusterId: 6, frame: '0111ff', button: null, type: null
+      }
+    ]);
+  });
+
+  it('includes the battery level in the device statistics', async () => {
+    await remote.setCapabilityValue('measure_battery', 80);
+
+    assert.strictEqual((await api.getDevice({ homey, params: { id: 'remote-1' } })).battery, 80);
+    assert.strictEqual((await api.getDevice({ homey, params: { id: 'bulb-1' } })).battery, null);
+  });
+
+  it('captures frames on remotes', async () => {
+    assert.deepStrictEqual(await api.setFrameCapture({ homey, params: { id: 'remote-1' }, body: { enabled: true } }), {
+      enabled: true,
+      frames: []
+    });
+
+    await remoteNode.receiveFrame(1, 6, '011001');
+
+    const { frames } = await api.getFrames({ homey, params: { id: 'remote-1' } });
+    assert.deepStrictEqual(frames.map(({ button }) => button), ['on']);
+
+    assert.deepStrictEqual((await api.clearFrames({ homey, params: { id: 'remote-1' } })).frames, []);
+    await assert.rejects(api.getFrames({ homey, params: { id: 'bulb-1' } }), { code: 'InvalidCommand' });
+  });
+});
@@ -0,0 +1,417 @@
+const EventEmitter = require('events');
+const Module = require('module');
+
+/**
+ * Minimal stand-ins for the Homey Apps SDK
+ * The real 'homey' module only exists inside the Homey runtime, so requiring
+ * this file makes require('homey') resolve to these classes instead
+ */
+
+/**
+ * Base class with the SDK's log / error helpers
+ * Both are bound because the app passes them around as callbacks (.catch(this.error))
+ */
+class SimpleClass extends EventEmitter {
+
+  constructor() {
+    super();
+    this.loggedErrors = [];
+    this.log = (...args) => {
+      if (process.env.HARNESS_DEBUG) {
+        console.log(`[${this.constructor.name}]`, ...args);
+      }
+    };
+    this.error = (...args) => {
+      this.loggedErrors.push(args);
+      if (process.env.HARNESS_DEBUG) {
+        console.error(`[${this.constructor.name}]`, ...args);
+      }
+    };
+  }
+}
+
+class App extends SimpleClass {
+
+  async onInit() {}
+}
+
+class Driver extends SimpleClass {
+
+  constructor({ id, homey, manifest = {} } = {}) {
+    super();
+    this.id = id;
+    this.homey = homey;
+    this.manifest = manifest;
+    this.devices = [];
+  }
+
+  getDevices() {
+    return this.devices;
+  }
+
+  async onInit() {}
+}
+
+class Device extends SimpleClass {
+
+  constructor({
+    homey, driver, name = 'Test device', data = {}, settings = {}, store = {}, capabilities = [], deviceClass = 'other'
+  } = {}) {
+    super();
+    this.homey = homey;
+    this.driver = driver;
+    this.name = name;
+    this.data = data;
+    this.settings = { ...settings };
+    this.store = { ...store };
+    this.capabilities = [...capabilities];
+    this.capabilityValues = {};
+    this.capabilityListeners = {};
+    this.deviceClass = deviceClass;
+    this.available = true;
+    this.warning = null;
+    this.energy = {};
+  }
+
+  async onInit() {}
+
+  getName() {
+    return this.name;
+  }
+
+  getData() {
+    return this.data;
+  }
+
+  getId() {
+    return this.data.id;
+  }
+
+  getClass() {
+    return this.deviceClass;
+  }
+
+  getDriver() {
+    return this.driver;
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  getSetting(key) {
+    return this.settings[key];
+  }
+
+  async setSettings(settings) {
+    Object.assign(this.settings, settings);
+  }
+
+  getStore() {
+    return { ...this.store };
+  }
+
+  getStoreValue(key) {
+    return this.store[key];
+  }
+
+  async setStoreValue(key, value) {
+    this.store[key] = value;
+  }
+
+  async unsetStoreValue(key) {
+    delete this.store[key];
+  }
+
+  getCapabilities() {
+    return [...this.capabilities];
+  }
+
+  hasCapability(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  async addCapability(capability) {
+    if (!this.hasCapability(capability)) {
+      this.capabilities.push(capability);
+    }
+  }
+
+  async removeCapability(capability) {
+    this.capabilities = this.capabilities.filter(id => id !== capability);
+    delete this.capabilityValues[capability];
+  }
+
+  getCapabilityValue(capability) {
+    return this.capabilityValues[capability] === undefined ? null : this.capabilityValues[capability];
+  }
+
+  async setCapabilityValue(capability, value) {
+    if (!this.hasCapability(capability)) {
+      throw new Error(`Invalid capability: ${capability}`);
+    }
+    this.capabilityValues[capability] = value;
+  }
+
+  registerCapabilityListener(capability, listener) {
+    this.capabilityListeners[capability] = listener;
+  }
+
+  registerMultipleCapabilityListener(capabilities, listener) {
+    capabilities.forEach((capability) => {
+      this.capabilityListeners[capability] = (value, opts) => listener({ [capability]: value }, { [capability]: opts });
+    });
+  }
+
+  async triggerCapabilityListener(capability, value, opts = {}) {
+    const listener = this.capabilityListeners[capability];
+    if (!listener) {
+      throw new Error(`No listener for capability: ${capability}`);
+    }
+    await listener(value, opts);
+    this.capabilityValues[capability] = value;
+  }
+
+  getAvailable() {
+    return this.available;
+  }
+
+  async setAvailable() {
+    this.available = true;
+  }
+
+  async setUnavailable(message) {
+    this.available = false;
+    this.warning = message;
+  }
+
+  async setWarning(message) {
+    this.warning = message;
+  }
+
+  async unsetWarning() {
+    this.warning = null;
+  }
+
+  getEnergy() {
+    return this.energy;
+  }
+
+  async setEnergy(energy) {
+    this.energy = energy;
+  }
+}
+
+/**
+ * Flow card recording every trigger in its flow manager
+ */
+class FakeFlowCard {
+
+  constructor(flow, id, type) {
+    this.flow = flow;
+    this.id = id;
+    this.type = type;
+    this.runListener = null;
+    this.autocompleteListeners = {};
+  }
+
+  registerRunListener(listener) {
+    this.runListener = listener;
+    return this;
+  }
+
+  registerArgumentAutocompleteListener(arg, listener) {
+    this.autocompleteListeners[arg] = listener;
+    return this;
+  }
+
+  /**
+   * Device trigger cards are triggered with (device, tokens, state),
+   * app trigger cards with (tokens, state)
+   */
+  async trigger(...args) {
+    const [device, tokens = {}, state = {}] = this.type === 'device_trigger' ? args : [null, ...args];
+    this.flow.triggered.push({
+      id: this.id, device, tokens, state
+    });
+  }
+}
+
+class FakeFlow {
+
+  constructor() {
+    this.cards = new Map();
+    this.triggered = [];
+  }
+
+  getCard(id, type) {
+    const key = `${type}:${id}`;
+    if (!this.cards.has(key)) {
+      this.cards.set(key, new FakeFlowCard(this, id, type));
+    }
+    return this.cards.get(key);
+  }
+
+  getDeviceTriggerCard(id) {
+    return this.getCard(id, 'device_trigger');
+  }
+
+  getTriggerCard(id) {
+    return this.getCard(id, 'trigger');
+  }
+
+  getConditionCard(id) {
+    return this.getCard(id, 'condition');
+  }
+
+  getActionCard(id) {
+    return this.getCard(id, 'action');
+  }
+}
+
+class FakeSettings extends EventEmitter {
+
+  constructor(values = {}) {
+    super();
+    this.values = { ...values };
+  }
+
+  get(key) {
+    return this.values[key] === undefined ? null : this.values[key];
+  }
+
+  set(key, value) {
+    this.values[key] = value;
+    this.emit('set', key);
+  }
+
+  unset(key) {
+    delete this.values[key];
+    this.emit('unset', key);
+  }
+
+  getKeys() {
+    return Object.keys(this.values);
+  }
+}
+
+/**
+ * Records the realtime events an app sends to its settings page
+ */
+class FakeApi {
+
+  constructor() {
+    this.realtimeEvents = [];
+  }
+
+  async realtime(event, data) {
+    this.realtimeEvents.push({ event, data });
+  }
+}
+
+class FakeDrivers extends EventEmitter {
+
+  constructor() {
+    super();
+    this.drivers = new Map();
+  }
+
+  getDriver(id) {
+    const driver = this.drivers.get(id);
+    if (!driver) {
+      throw new Error(`Invalid driver: ${id}`);
+    }
+    return driver;
+  }
+
+  getDrivers() {
+    return Object.fromEntries(this.drivers);
+  }
+}
+
+/**
+ * The `homey` instance available as this.homey on apps, drivers and devices
+ * Timers are looked up on the global object at call time, so node:test mock timers apply
+ */
+class FakeHomeyInstance {
+
+  constructor({ settings = {} } = {}) {
+    this.app = null;
+    this.flow = new FakeFlow();
+    this.settings = new FakeSettings(settings);
+    this.drivers = new FakeDrivers();
+    this.api = new FakeApi();
+    this.i18n = { getLanguage: () => 'en' };
+    this.nodes = new Map();
+    this.zigbee = {
+      getNetwork: async () => ({ ieeeAddress: '00:17:88:01:02:03:04:05' }),
+      getNode: async (device) => {
+        const node = this.nodes.get(device);
+        if (!node) {
+          throw new Error(`No Zigbee node for ${device.getName()}`);
+        }
+        return node;
+      }
+    };
+    this.timers = new Set();
+    this.intervals = new Set();
+  }
+
+  __(key) {
+    return typeof key === 'string' ? key : key.en;
+  }
+
+  setTimeout(callback, ms, ...args) {
+    const timer = global.setTimeout(() => {
+      this.timers.delete(timer);
+      callback(...args);
+    }, ms);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  clearTimeout(timer) {
+    this.timers.delete(timer);
+    global.clearTimeout(timer);
+  }
+
+  setInterval(callback, ms, ...args) {
+    const interval = global.setInterval(callback, ms, ...args);
+    this.intervals.add(interval);
+    return interval;
+  }
+
+  clearInterval(interval) {
+    this.intervals.delete(interval);
+    global.clearInterval(interval);
+  }
+
+  /**
+   * Clear every timer that is still pending, like Homey does when an app stops
+   */
+  destroy() {
+    this.timers.forEach(timer => global.clearTimeout(timer));
+    this.intervals.forEach(interval => global.clearInterval(interval));
+    this.timers.clear();
+    this.intervals.clear();
+  }
+}
+
+const FakeHomey = {
+  SimpleClass,
+  App,
+  Driver,
+  Device,
+  FakeHomeyInstance
+};
+
+// Resolve require('homey') to the fakes for every module loaded after this one
+const originalLoad = Module._load;
+Module._load = function load(request, ...args) {
+  if (request === 'homey') {
+    return FakeHomey;
+  }
+  return originalLoad.call(this, request, ...args);
+};
+
+module.exports = FakeHomey;
@@ -0,0 +1,52 @@
+const EventEmitter = require('events');
+
+/**
+ * Stand-in for Homey's ZigBeeNode
+ * The real zigbee-clusters ZCLNode is built on top of it, so frames received
+ * here go through the same parsing and bound clusters as on a Homey
+ */
+class FakeZigBeeNode extends EventEmitter {
+
+  /**
+   * @param {object} options
+   * @param {Array<{endpointId: number, inputClusters: number[], outputClusters: number[]}>} options.endpointDescriptors
+   * @param {Function} [options.respond] - Called for every sent frame, may return a response frame
+   */
+  constructor({ endpointDescriptors, respond = null } = {}) {
+    super();
+    this.endpointDescriptors = endpointDescriptors;
+    this.respond = respond;
+    this.sentFrames = [];
+  }
+
+  /**
+   * Replaced by ZCLNode (and by device code hooking into raw frames)
+   */
+  handleFrame() {}
+
+  /**
+   * Frames sent by the device are recorded, there is no radio to deliver them
+   */
+  async sendFrame(endpointId, clusterId, frame) {
+    this.sentFrames.push({ endpointId, clusterId, frame: Buffer.from(frame) });
+
+    if (!this.respond) {
+      throw new Error('FakeZigBeeNode: no response');
+    }
+
+    const response = await this.respond({ endpointId, clusterId, frame });
+    if (response) {
+      setImmediate(() => this.receiveFrame(endpointId, clusterId, response));
+    }
+  }
+
+  /**
+   * Deliver a frame to the device as if it was received over the air
+   */
+  async receiveFrame(endpointId, clusterId, frame, meta = {}) {
+    const buffer = Buffer.isBuffer(frame) ? frame : Buffer.from(frame, 'hex');
+    return this.handleFrame(endpointId, clusterId, buffer, meta);
+  }
+}
+
+module.exports = FakeZigBeeNode;
@@ -0,0 +1,275 @@
+const path = require('path');
+const fs = require('fs');
+const assert = require('node:assert');
+const { FakeHomeyInstance, Driver } = require('./FakeHomey');
+const FakeZigBeeNode = require('./FakeZigBeeNode');
+
+const ROOT = path.join(__dirname, '..', '..');
+const manifest = require(path.join(ROOT, 'app.json'));
+
+// Devices enable zigbee-clusters debug logging, keep it out of the test output
+if (!process.env.HARNESS_DEBUG) {
+  require(require.resolve('debug', { paths: [require.resolve('zigbee-clusters')] })).log = () => {};
+}
+
+/**
+ * Get a driver from the generated app manifest
+ */
+function getDriverManifest(driverId) {
+  const driver = manifest.drivers.find(candidate => candidate.id === driverId);
+  if (!driver) {
+    throw new Error(`Unknown driver: ${driverId}`);
+  }
+  return driver;
+}
+
+/**
+ * Default values of a driver's settings, including settings inside groups
+ */
+function getDefaultSettings(driverManifest) {
+  const settings = {};
+  const collect = (entries = []) => entries.forEach((entry) => {
+    if (entry.type === 'group') {
+      collect(entry.children);
+    } else if (entry.id) {
+      settings[entry.id] = entry.value;
+    }
+  });
+
+  collect(driverManifest.settings);
+  return settings;
+}
+
+/**
+ * Endpoint descriptors of a driver's manifest, as a Homey ZigBeeNode reports them
+ */
+function getEndpointDescriptors(driverManifest) {
+  return Object.entries(driverManifest.zigbee.endpoints).map(([endpointId, endpoint]) => ({
+    endpointId: Number(endpointId),
+    inputClusters: endpoint.clusters || [],
+    outputClusters: endpoint.bindings || []
+  }));
+}
+
+/**
+ * Create a fake homey with the real LexmanApp initialized on it
+ * The process wide signal and exception handlers of the app are not installed
+ */
+async function createApp({ settings } = {}) {
+  const homey = new FakeHomeyInstance({ settings });
+  const LexmanApp = require(path.join(ROOT, 'app.js'));
+
+  const app = new LexmanApp();
+  app.homey = homey;
+  app.initializeEventHandlers = async () => {};
+  homey.app = app;
+
+  await app.onInit();
+  return { homey, app };
+}
+
+/**
+ * Create a device of the given driver on a fake Zigbee node and wait for onNodeInit
+ */
+async function createDevice(homey, driverId, {
+  name = driverId, data = { id: `${driverId}-test` }, settings = {}, store = {}, endpointDescriptors, respond
+} = {}) {
+  const driverManifest = getDriverManifest(driverId);
+  const DeviceClass = require(path.join(ROOT, 'drivers', driverId, 'device.js'));
+
+  if (!homey.drivers.drivers.has(driverId)) {
+    // Drivers without a driver.js get the plain Homey driver, like in the Homey runtime
+    const driverFile = path.join(ROOT, 'drivers', driverId, 'driver.js');
+    const DriverClass = fs.existsSync(driverFile) ? require(driverFile) : Driver;
+    homey.drivers.drivers.set(driverId, new DriverClass({ id: driverId, homey, manifest: driverManifest }));
+  }
+  const driver = homey.drivers.getDriver(driverId);
+
+  const device = new DeviceClass({
+    homey,
+    driver,
+    name,
+    data,
+    settings: { ...getDefaultSettings(driverManifest), ...settings },
+    store,
+    capabilities: driverManifest.capabilities,
+    deviceClass: driverManifest.class
+  });
+  driver.devices.push(device);
+
+  const node = new FakeZigBeeNode({
+    endpointDescriptors: endpointDescriptors || getEndpointDescriptors(driverManifest),
+    respond
+  });
+  homey.nodes.set(device, node);
+
+  // ZigBeeDevice.onInit does not wait for the node, so wait for onNodeInit itself
+  const nodeInit = new Promise((resolve, reject) => {
+    const onNodeInit = device.onNodeInit.bind(device);
+    device.onNodeInit = args => onNodeInit(args).then(resolve, (error) => {
+      reject(error);
+      throw error;
+    });
+  });
+
+  await device.onInit();
+  await nodeInit;
+
+  return { device, node };
+}
+
+/**
+ * Responder for a device that supports every command but none of the attributes it is asked for
+ * Cluster specific commands get a successful default response, attribute reads an
+ * unsupported attribute status for each attribute
+ */
+function defaultResponse({ frame }) {
+  const buffer = Buffer.from(frame);
+  const frameControl = buffer[0];
+
+  // Skip the manufacturer code when present
+  const offset = frameControl & 0x04 ? 2 : 0;
+  const sequence = buffer[1 + offset];
+  const commandId = buffer[2 + offset];
+
+  if ((frameControl & 0x03) === 0x01) {
+    return Buffer.from([0x18, sequence, 0x0b, commandId, 0x00]);
+  }
+
+  if (commandId === 0x00) {
+    const records = [];
+    for (let index = 3 + offset; index + 1 < buffer.length; index += 2) {
+      records.push(buffer[index], buffer[index + 1], 0x86);
+    }
+    return Buffer.from([0x18, sequence, 0x01, ...records]);
+  }
+
+  // Command discovery is not supported, like on most bulbs
+  if (commandId === 0x11) {
+    return Buffer.from([0x18, sequence, 0x0b, commandId, 0x82]);
+  }
+  return null;
+}
+
+/**
+ * Create a responder for a device with the given attribute values
+ * Values are hex strings of the ZCL data type followed by the little endian value, per
+ * cluster id and attribute id. Reads of other attributes get an unsupported attribute status,
+ * writes, reporting configuration and cluster specific commands succeed.
+ */
+function attributeResponse(attributes) {
+  return ({ clusterId, frame }) => {
+    const buffer = Buffer.from(frame);
+    // Manufacturer specific frames have the manufacturer code after the frame control
+    const manufacturerSpecific = (buffer[0] & 0x04) !== 0;
+    const payload = manufacturerSpecific ? 5 : 3;
+    const sequence = buffer[payload - 2];
+    const commandId = buffer[payload - 1];
+    const header = command => Buffer.from(manufacturerSpecific
+      ? [0x1c, buffer[1], buffer[2], sequence, command]
+      : [0x18, sequence, command]);
+
+    if ((buffer[0] & 0x03) === 0x01) {
+      return Buffer.concat([header(0x0b), Buffer.from([commandId, 0x00])]);
+    }
+
+    // Read attributes
+    if (commandId === 0x00) {
+      const records = [];
+      for (let index = payload; index + 1 < buffer.length; index += 2) {
+        const value = (attributes[clusterId] || {})[buffer.readUInt16LE(index)];
+        records.push(buffer.subarray(index, index + 2), Buffer.from(value ? `00${value}` : '86', 'hex'));
+      }
+      return Buffer.concat([header(0x01), ...records]);
+    }
+
+    // Write attributes
+    if (commandId === 0x02) {
+      return Buffer.concat([header(0x04), Buffer.from([0x00, buffer[payload], buffer[payload + 1]])]);
+    }
+
+    // Configure reporting
+    if (commandId === 0x06) {
+      return Buffer.concat([header(0x07), Buffer.from([0x00, 0x00, buffer[payload + 1], buffer[payload + 2]])]);
+    }
+
+    // Discover commands received, not supported
+    if (commandId === 0x11) {
+      return Buffer.concat([header(0x0b), Buffer.from([commandId, 0x82])]);
+    }
+    return null;
+  };
+}
+
+/**
+ * Let requests that were started without being awaited get their responses
+ */
+async function settle() {
+  for (let index = 0; index < 20; index++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Load a JSON fixture from test/fixtures
+ */
+function loadFixture(name) {
+  return require(path.join(__dirname, '..', 'fixtures', `${name}.json`));
+}
+
+/**
+ * Advance mocked timers in small steps, so timers started by other timers fire too
+ */
+function advanceTimers(timers, ms, step = 50) {
+  for (let elapsed = 0; elapsed < ms; elapsed += step) {
+    timers.tick(Math.min(step, ms - elapsed));
+  }
+}
+
+/**
+ * Replay recorded frames on a node
+ * Steps may advance mocked timers (in ms) before the frame is delivered
+ */
+async function replayFrames(node, frames, timers = null) {
+  for (const step of frames) {
+    if (step.advance && timers) {
+      advanceTimers(timers, step.advance);
+    }
+    if (step.frame) {
+      await node.receiveFrame(step.endpointId, step.clusterId, step.frame);
+    }
+  }
+}
+
+/**
+ * Assert the triggered flow cards, comparing only the listed tokens and state keys
+ */
+function assertTriggered(homey, expected) {
+  const actual = homey.flow.triggered.map(({ id, tokens, state }) => ({ id, tokens, state }));
+
+  assert.deepStrictEqual(actual.map(({ id }) => id), expected.map(({ id }) => id));
+
+  expected.forEach(({ id, tokens = {}, state = {} }, index) => {
+    Object.entries(tokens).forEach(([key, value]) => {
+      assert.deepStrictEqual(actual[index].tokens[key], value, `${id} token ${key}`);
+    });
+    Object.entries(state).forEach(([key, value]) => {
+      assert.deepStrictEqual(actual[index].state[key], value, `${id} state ${key}`);
+    });
+  });
+}
+
+module.exports = {
+  getDriverManifest,
+  getDefaultSettings,
+  createApp,
+  createDevice,
+  defaultResponse,
+  attributeResponse,
+  settle,
+  loadFixture,
+  advanceTimers,
+  replayFrames,
+  assertTriggered,
+  FakeZigBeeNode
+};